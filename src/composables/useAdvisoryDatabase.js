@@ -0,0 +1,72 @@
+import { computed, reactive } from 'vue'
+import AdvisoryDatabase from '../services/advisoryDatabase'
+
+// Module-level state, shared by the import dialog and every vulnerability report
+const state = reactive({
+  stats: null,      // { advisories, packages, sources }
+  importing: false,
+  imported: 0,      // advisories written by the running import
+  error: null,
+  version: 0        // bumped whenever the database changes, so reports rescan
+})
+
+let statsPromise = null
+
+export function useAdvisoryDatabase() {
+  async function loadStats(force = false) {
+    if (!statsPromise || force) {
+      statsPromise = AdvisoryDatabase.getStats()
+        .then(stats => { state.stats = stats })
+        .catch(err => {
+          statsPromise = null
+          state.error = err.message
+        })
+    }
+    return statsPromise
+  }
+
+  async function importFiles(files) {
+    if (state.importing) return
+    state.importing = true
+    state.imported = 0
+    state.error = null
+
+    try {
+      for (const file of files) {
+        const before = state.imported
+        await AdvisoryDatabase.importFile(file, {
+          onProgress: count => { state.imported = before + count }
+        })
+      }
+    } catch (err) {
+      state.error = err.message
+    } finally {
+      state.importing = false
+      state.version++
+      await loadStats(true)
+    }
+  }
+
+  async function clear() {
+    state.error = null
+    try {
+      await AdvisoryDatabase.clear()
+    } catch (err) {
+      state.error = err.message
+    }
+    state.version++
+    await loadStats(true)
+  }
+
+  return {
+    stats: computed(() => state.stats),
+    isEmpty: computed(() => !state.stats?.advisories),
+    importing: computed(() => state.importing),
+    imported: computed(() => state.imported),
+    error: computed(() => state.error),
+    version: computed(() => state.version),
+    loadStats,
+    importFiles,
+    clear
+  }
+}
@@ -0,0 +1,74 @@
+import { ref, computed } from 'vue'
+import globalSearch from '../services/globalSearch'
+import { useRegistry } from './useRegistry'
+import { useHashRoute } from './useHashRoute'
+
+// Shared so the header button and the Ctrl+K shortcut open the same palette
+const isOpen = ref(false)
+const query = ref('')
+
+export function useGlobalSearch() {
+  const { repositories, tags, imageInfos, platformInfos } = useRegistry()
+  const { navigate, getPlatformKey } = useHashRoute()
+
+  // Images of a tag whose details are loaded, one per platform
+  function getImages(repository, tag) {
+    const info = imageInfos.value[`${repository}:${tag}`]
+    if (!info) return []
+
+    if (!info.isMultiPlatform) {
+      return [{
+        platform: info.platforms[0] || null,
+        digests: [info.digest, info.manifest?.config?.digest],
+        labels: info.config?.config?.Labels
+      }]
+    }
+
+    return info.platforms
+      .filter(p => p.os !== 'unknown')
+      .map(platform => {
+        // The first platform's details come with the tag, the others once viewed
+        const isFirst = platform.digest === info.firstPlatformDigest
+        const platformInfo = platformInfos.value[`${repository}@${platform.digest}`]
+        const manifest = platformInfo?.manifest || (isFirst ? info.firstManifest : null)
+        const config = platformInfo?.config || (isFirst ? info.config : null)
+        return {
+          platform,
+          digests: [info.digest, platform.digest, manifest?.config?.digest],
+          labels: config?.config?.Labels
+        }
+      })
+  }
+
+  const results = computed(() => globalSearch.search(query.value, {
+    repositories: repositories.value,
+    tags: tags.value,
+    getImages
+  }))
+
+  function open() {
+    isOpen.value = true
+  }
+
+  function close() {
+    isOpen.value = false
+  }
+
+  function goTo(result) {
+    navigate({
+      repo: result.repository,
+      tag: result.tag,
+      platform: getPlatformKey(result.platform)
+    })
+    close()
+  }
+
+  return {
+    isOpen,
+    query,
+    results,
+    open,
+    close,
+    goTo
+  }
+}
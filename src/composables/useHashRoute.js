@@ -0,0 +1,81 @@
+import { reactive, readonly } from 'vue'
+
+/**
+ * Hash-based routing for deep links, e.g.
+ *   #/repo/team/api/tag/1.2.3/platform/linux-arm64
+ *
+ * Only the hash changes, so links work under any base path
+ * (including GitHub Pages' /Registry-Lens/) without server rewrites.
+ */
+
+// Reactive state
+const route = reactive({
+  repo: null,      // repository name (may contain slashes)
+  tag: null,
+  platform: null   // platform key, e.g. linux-arm64 or linux-arm-v7
+})
+
+// Repository names may contain slashes, tags and platform keys may not
+const ROUTE_PATTERN = /^\/repo\/(.+?)(?:\/tag\/([^/]+)(?:\/platform\/([^/]+))?)?\/?$/
+
+function parseHash(hash) {
+  const path = (hash || '').replace(/^#/, '')
+  const match = path.match(ROUTE_PATTERN)
+  if (!match) return { repo: null, tag: null, platform: null }
+
+  return {
+    repo: match[1].split('/').map(decodeURIComponent).join('/'),
+    tag: match[2] ? decodeURIComponent(match[2]) : null,
+    platform: match[3] ? decodeURIComponent(match[3]) : null
+  }
+}
+
+function buildHash({ repo, tag, platform } = {}) {
+  if (!repo) return '#/'
+  let hash = `#/repo/${repo.split('/').map(encodeURIComponent).join('/')}`
+  if (tag) {
+    hash += `/tag/${encodeURIComponent(tag)}`
+    if (platform) {
+      hash += `/platform/${encodeURIComponent(platform)}`
+    }
+  }
+  return hash
+}
+
+function syncFromLocation() {
+  Object.assign(route, parseHash(window.location.hash))
+}
+
+window.addEventListener('hashchange', syncFromLocation)
+syncFromLocation()
+
+export function useHashRoute() {
+  // Update the URL; pushes a history entry unless replace is set
+  function navigate(next, { replace = false } = {}) {
+    const hash = buildHash(next)
+    const current = window.location.hash || '#/'
+    if (hash === current) return
+
+    if (replace) {
+      // replaceState doesn't fire hashchange, so sync by hand
+      history.replaceState(history.state, '', hash)
+      syncFromLocation()
+    } else {
+      window.location.hash = hash
+    }
+  }
+
+  // Stable key for a platform, used in URLs
+  function getPlatformKey(platform) {
+    if (!platform?.os && !platform?.architecture) return null
+    return [platform.os, platform.architecture, platform.variant]
+      .filter(Boolean)
+      .join('-')
+  }
+
+  return {
+    route: readonly(route),
+    navigate,
+    getPlatformKey
+  }
+}
@@ -1,6 +1,11 @@
 import { computed, reactive } from 'vue'
 import { registryApi } from '../services/registryApi'
+import { credentialStore } from '../services/credentialStore'
+import { registryStore } from '../services/registryStore'
 import imageCache from '../services/imageCache'
+import tagHistory from '../services/tagHistory'
+import tagDigests from '../services/tagDigests'
+import { getImageBlobs } from '../utils/manifest'
 
 // Reactive state
 const state = reactive({
@@ -8,19 +13,33 @@ const state = reactive({
   isConnected: false,
   isLoading: false,
   error: null,
+  errorHint: null,    // likely cause and fix for a connection error
   repositories: [],
   selectedRepo: null,
   tags: {},           // { repoName: [tags] }
+  incompleteTags: {}, // { repoName: true } when the tag list failed to load fully
   manifests: {},      // { 'repo:tag': manifest }
   imageInfos: {},     // { 'repo:tag': imageInfo with metadata }
+  platformInfos: {},  // { 'repo@digest': single platform imageInfo }
   filter: '',
   storageInfo: null,  // Info about how credentials are stored
-  registryUrl: null   // Current registry URL for reactive access
+  registryUrl: null,  // Current registry URL for reactive access
+  registries: [],     // Saved registries [{ id, name, registryUrl, username }]
+  activeRegistryId: null,
+  isAddingRegistry: false,
+  repositoriesIncomplete: false  // catalog loading was cancelled or a page failed
 })
 
+let repositoryLoadController = null
+
 export function useRegistry() {
   // Computed
-  const credentials = computed(() => registryApi.getCredentials())
+  // registryUrl changes whenever the active registry or its credentials do
+  const credentials = computed(() => state.registryUrl && registryApi.getCredentials())
+
+  const activeRegistry = computed(() =>
+    state.registries.find(r => r.id === state.activeRegistryId) || null
+  )
 
   const filteredRepositories = computed(() => {
     if (!state.filter) return state.repositories
@@ -31,125 +50,266 @@ export function useRegistry() {
   })
 
   // Actions
-  async function connect(registryUrl, username, password) {
+
+  // Drop everything loaded from the current registry
+  function resetRegistryState() {
+    if (repositoryLoadController) {
+      repositoryLoadController.abort()
+      repositoryLoadController = null
+      state.isLoading = false
+    }
+    state.isConnected = false
+    state.error = null
+    state.errorHint = null
+    state.repositories = []
+    state.repositoriesIncomplete = false
+    state.tags = {}
+    state.incompleteTags = {}
+    state.manifests = {}
+    state.imageInfos = {}
+    state.platformInfos = {}
+    state.selectedRepo = null
+    state.filter = ''
+    state.storageInfo = null
+    state.registryUrl = null
+  }
+
+  function refreshRegistries() {
+    state.registries = registryStore.list()
+  }
+
+  // Make a saved registry the current one, with its own cache namespace and tag history
+  function activateRegistry(registryId) {
+    state.activeRegistryId = registryId
+    registryStore.setActiveId(registryId)
+    imageCache.setNamespace(registryId)
+    tagHistory.setNamespace(registryId)
+  }
+
+  async function connect(registryUrl, username, password, name) {
     state.isLoading = true
     state.error = null
+    state.errorHint = null
+
+    // Reuse the saved entry for this URL and user, otherwise add a new one
+    const existing = registryStore.find(registryUrl, username)
+    const entry = existing
+      ? (name && name !== existing.name ? registryStore.update(existing.id, { name }) : existing)
+      : registryStore.add({ name, registryUrl, username })
 
     try {
-      const saveResult = await registryApi.saveCredentials(registryUrl, username, password)
+      resetRegistryState()
+      const saveResult = await registryApi.saveCredentials(entry.id, registryUrl, username, password)
       state.storageInfo = registryApi.getStorageInfo()
 
       const result = await registryApi.testConnection()
 
       if (result.success) {
+        activateRegistry(entry.id)
         state.isConnected = true
+        state.isAddingRegistry = false
         state.registryUrl = registryUrl
+        refreshRegistries()
         await loadRepositories()
         return { success: true, storageMethod: saveResult.method }
       } else {
         state.error = result.error
-        state.registryUrl = null
-        await registryApi.clearCredentials()
+        state.errorHint = result.cause?.hint || null
+        await forgetFailedConnection(entry, existing)
         return { success: false, error: result.error }
       }
     } catch (err) {
       state.error = err.message
-      state.registryUrl = null
-      await registryApi.clearCredentials()
+      state.errorHint = err.hint || null
+      await forgetFailedConnection(entry, existing)
       return { success: false, error: err.message }
     } finally {
       state.isLoading = false
     }
   }
 
-  async function reconnect() {
-    try {
-      // First try to load credentials from storage
-      await registryApi.initCredentials()
+  // Don't keep credentials (or a brand new entry) for a registry we couldn't connect to
+  async function forgetFailedConnection(entry, existing) {
+    state.registryUrl = null
+    await registryApi.clearCredentials()
+    if (!existing) {
+      registryStore.remove(entry.id)
+    }
+    refreshRegistries()
+  }
 
-      if (!registryApi.isAuthenticated()) return false
+  // Open a saved registry using its stored credentials
+  async function openRegistry(registryId) {
+    resetRegistryState()
+    activateRegistry(registryId)
 
-      state.isLoading = true
-      state.error = null
-      state.storageInfo = registryApi.getStorageInfo()
+    await registryApi.initCredentials(registryId)
+    // No credentials for this session: LoginForm asks for them
+    if (!registryApi.isAuthenticated()) return false
 
-      try {
-        const result = await registryApi.testConnection()
-        if (result.success) {
-          state.isConnected = true
-          // Get registryUrl from loaded credentials
-          const creds = registryApi.getCredentials()
-          state.registryUrl = creds?.registryUrl || null
-          await loadRepositories()
-          return true
-        }
-      } catch {
-        // Ignore, will return false
-      } finally {
-        state.isLoading = false
+    state.isLoading = true
+    state.storageInfo = registryApi.getStorageInfo()
+
+    try {
+      const result = await registryApi.testConnection()
+      if (result.success) {
+        state.isConnected = true
+        // Get registryUrl from loaded credentials
+        const creds = registryApi.getCredentials()
+        state.registryUrl = creds?.registryUrl || null
+        await loadRepositories()
+        return true
       }
-      return false
+      state.error = result.error
+      state.errorHint = result.cause?.hint || null
+    } catch {
+      // Ignore, will return false
+    } finally {
+      state.isLoading = false
+    }
+    return false
+  }
+
+  async function reconnect() {
+    try {
+      refreshRegistries()
+
+      // Reopen the last used registry
+      const registryId = registryStore.getActiveId()
+      if (!registryId || !registryStore.get(registryId)) return false
+
+      return await openRegistry(registryId)
     } finally {
       // Always mark initialization as complete
       state.isInitializing = false
     }
   }
 
+  async function switchRegistry(registryId) {
+    state.isAddingRegistry = false
+    return openRegistry(registryId)
+  }
+
+  // Show the login form for a new registry; cancelAddRegistry() goes back
+  function startAddRegistry() {
+    resetRegistryState()
+    state.isAddingRegistry = true
+  }
+
+  async function cancelAddRegistry() {
+    state.isAddingRegistry = false
+    if (state.activeRegistryId) {
+      await openRegistry(state.activeRegistryId)
+    }
+  }
+
+  function renameRegistry(registryId, name) {
+    registryStore.update(registryId, { name })
+    refreshRegistries()
+  }
+
+  async function removeRegistry(registryId) {
+    await credentialStore.clear(registryId)
+    imageCache.clearAll(registryId)
+    tagHistory.clearAll(registryId)
+    registryStore.remove(registryId)
+    refreshRegistries()
+
+    if (state.activeRegistryId === registryId) {
+      state.activeRegistryId = null
+      const next = state.registries[0]
+      if (next) {
+        await openRegistry(next.id)
+      } else {
+        await registryApi.initCredentials(null)
+        resetRegistryState()
+      }
+    }
+  }
+
+  // Sign out of the current registry; it stays in the saved list
   async function disconnect() {
     await registryApi.clearCredentials()
-    state.isConnected = false
-    state.repositories = []
-    state.tags = {}
-    state.manifests = {}
-    state.imageInfos = {}
-    state.selectedRepo = null
-    state.filter = ''
-    state.storageInfo = null
-    state.registryUrl = null
+    resetRegistryState()
   }
 
-  async function loadRepositories() {
+  // force: bypass the cache and ask the registry
+  // The list fills in page by page; partial results stay if loading is cancelled or fails
+  async function loadRepositories({ force = false } = {}) {
+    repositoryLoadController?.abort()
+    const controller = new AbortController()
+    repositoryLoadController = controller
+
     state.isLoading = true
     state.error = null
+    state.repositoriesIncomplete = false
 
     try {
       // Try to get from cache first
-      const cached = imageCache.getRepositories()
+      const cached = force ? null : await imageCache.getRepositories()
       if (cached) {
         state.repositories = cached
         return
       }
 
       // Fetch from API and cache
-      state.repositories = await registryApi.getAllRepositories()
-      imageCache.saveRepositories(state.repositories)
+      // On refresh the old list stays until the first page replaces it
+      const repositories = await registryApi.getAllRepositories({
+        signal: controller.signal,
+        onPage: (page, loaded) => { state.repositories = [...loaded] }
+      })
+      state.repositories = repositories
+      imageCache.saveRepositories(repositories)
     } catch (err) {
-      state.error = err.message
+      if (controller.signal.aborted) {
+        // Cancelled, or superseded by a newer load
+        if (repositoryLoadController === controller) state.repositoriesIncomplete = true
+        return
+      }
+      if (err.partial) {
+        state.repositoriesIncomplete = true
+        state.error = `Loaded ${err.partial.length} repositories, then: ${err.message}`
+      } else {
+        state.error = err.message
+      }
     } finally {
-      state.isLoading = false
+      if (repositoryLoadController === controller) {
+        repositoryLoadController = null
+        state.isLoading = false
+      }
     }
   }
 
-  async function loadTags(repository) {
-    if (state.tags[repository]) return state.tags[repository]
+  // Stop loading the repository list, keeping what has arrived
+  function cancelLoadRepositories() {
+    repositoryLoadController?.abort()
+  }
+
+  // options: { priority, signal } for the request queue, force to bypass the cache
+  async function loadTags(repository, options = {}) {
+    if (state.tags[repository] && !options.force) return state.tags[repository]
 
     try {
       // Try to get from cache first
-      const cached = imageCache.getTags(repository)
+      const cached = options.force ? null : await imageCache.getTags(repository)
       if (cached) {
         state.tags[repository] = cached
         return cached
       }
 
       // Fetch from API and cache
-      const result = await registryApi.getTags(repository)
+      const result = await registryApi.getTags(repository, options)
       state.tags[repository] = result.tags || []
+      delete state.incompleteTags[repository]
       imageCache.saveTags(repository, state.tags[repository])
       return state.tags[repository]
     } catch (err) {
+      if (err.name === 'AbortError') return []
       console.error(`Failed to load tags for ${repository}:`, err)
-      state.tags[repository] = []
-      return []
+      // Keep the pages that did load, without caching an incomplete list
+      state.tags[repository] = err.partial || []
+      state.incompleteTags[repository] = true
+      return state.tags[repository]
     }
   }
 
@@ -159,7 +319,8 @@ export function useRegistry() {
     if (state.manifests[key]) return state.manifests[key]
 
     try {
-      const manifest = await registryApi.getManifest(repository, tag)
+      const digest = await resolveTagDigest(repository, tag)
+      const manifest = await registryApi.getManifest(repository, digest || tag)
       state.manifests[key] = manifest
       return manifest
     } catch (err) {
@@ -168,32 +329,163 @@ export function useRegistry() {
     }
   }
 
+  // Resolve a tag to its manifest digest, revalidating with HEAD once the cached mapping expires
+  async function resolveTagDigest(repository, tag, options = {}) {
+    try {
+      return await tagDigests.resolve(repository, tag, options)
+    } catch (err) {
+      if (err.name === 'AbortError') throw err
+      // e.g. Docker-Content-Digest not exposed over CORS; fall back to fetching by tag
+      console.warn(`Could not resolve digest for ${repository}:${tag}:`, err)
+      return null
+    }
+  }
+
   // Load full image info with metadata (creation date, size, etc.)
-  async function loadImageInfo(repository, tag) {
+  // Manifests and configs come from the digest-addressed cache, so a re-pushed
+  // tag picks up its new digest while unchanged content is never fetched twice.
+  // options.force re-checks the tag's digest with the registry
+  async function loadImageInfo(repository, tag, options = {}) {
     const key = `${repository}:${tag}`
-    if (state.imageInfos[key]) return state.imageInfos[key]
 
     try {
-      // Try to get from cache first
-      const cached = imageCache.getImageInfo(repository, tag)
-      if (cached) {
-        state.imageInfos[key] = cached
-        state.manifests[key] = cached.manifest
-        return cached
-      }
+      const digest = await resolveTagDigest(repository, tag, options)
+      const current = state.imageInfos[key]
+      // Same digest: nothing changed. Without a digest, only a forced refresh refetches
+      if (current && (digest ? current.digest === digest : !options.force)) return current
 
-      // Fetch from API and cache
-      const imageInfo = await registryApi.getImageInfo(repository, tag)
+      const imageInfo = await registryApi.getImageInfo(repository, digest || tag, options)
       state.imageInfos[key] = imageInfo
       state.manifests[key] = imageInfo.manifest
-      imageCache.saveImageInfo(repository, tag, imageInfo)
       return imageInfo
     } catch (err) {
+      if (err.name === 'AbortError') return null
       console.error(`Failed to load image info for ${key}:`, err)
       return null
     }
   }
 
+  // Lazy load one platform of a multi-arch image (own manifest, config and real size)
+  async function loadPlatformInfo(repository, digest, options = {}) {
+    const key = `${repository}@${digest}`
+    if (state.platformInfos[key]) return state.platformInfos[key]
+
+    try {
+      // Platform manifests are addressed by digest, so they come from the content cache
+      const platformInfo = await registryApi.getPlatformImageInfo(repository, digest, options)
+      state.platformInfos[key] = platformInfo
+      return platformInfo
+    } catch (err) {
+      if (err.name === 'AbortError') return null
+      console.error(`Failed to load platform info for ${key}:`, err)
+      return null
+    }
+  }
+
+  // Resolve a tag's digest and find every other tag that points at the same manifest
+  // unresolvedTags and tagListComplete tell whether sharedTags can be trusted to be all of them
+  async function prepareTagDeletion(repository, tag) {
+    const digest = await tagDigests.fetch(repository, tag)
+    // A cached list may miss tags pushed since
+    const tags = await loadTags(repository, { force: true })
+    const tagListComplete = !state.incompleteTags[repository]
+
+    // Resolved in parallel by the request queue; null when the digest couldn't be resolved
+    const matches = await Promise.all(tags.map(async (other) => {
+      if (other === tag) return false
+      try {
+        return await tagDigests.fetch(repository, other) === digest
+      } catch (err) {
+        console.warn(`Could not resolve digest for ${repository}:${other}:`, err)
+        return null
+      }
+    }))
+    const sharedTags = tags.filter((_, index) => matches[index] === true)
+    const unresolvedTags = tags.filter((_, index) => matches[index] === null)
+
+    return { digest, sharedTags, unresolvedTags, tagListComplete }
+  }
+
+  // Delete a manifest and drop every tag that pointed at it from state and cache
+  // verified: false when prepareTagDeletion couldn't check every tag, so affectedTags may miss some
+  async function deleteImage(repository, digest, affectedTags, { verified = true } = {}) {
+    try {
+      await registryApi.deleteManifest(repository, digest)
+    } catch (err) {
+      return { success: false, error: err.message }
+    }
+
+    removeDeletedTags(repository, affectedTags)
+    if (!verified) await reloadTagsAfterDeletion(repository)
+    return { success: true }
+  }
+
+  // Ask the registry which tags are left and forget the ones that went with the manifest
+  async function reloadTagsAfterDeletion(repository) {
+    const before = state.tags[repository] || []
+    const remaining = await loadTags(repository, { force: true })
+    if (state.incompleteTags[repository]) return
+    before.filter(tag => !remaining.includes(tag)).forEach(tag => clearImageCache(repository, tag))
+  }
+
+  function removeDeletedTags(repository, deletedTags) {
+    deletedTags.forEach(tag => clearImageCache(repository, tag))
+
+    if (state.tags[repository]) {
+      state.tags[repository] = state.tags[repository].filter(t => !deletedTags.includes(t))
+      imageCache.saveTags(repository, state.tags[repository])
+    }
+  }
+
+  // Gather digest, creation date and blobs for every tag, for the retention planner
+  async function collectRetentionEntries(repository, onProgress) {
+    const tags = await loadTags(repository)
+    let done = 0
+
+    // Every tag is queued at once; the request queue runs them in parallel
+    return Promise.all(tags.map(async (tag) => {
+      let digest = null
+      try {
+        digest = await tagDigests.fetch(repository, tag)
+      } catch (err) {
+        console.warn(`Could not resolve digest for ${repository}:${tag}:`, err)
+      }
+
+      const imageInfo = await loadImageInfo(repository, tag)
+      // Every platform of a multi-arch image, so the space freed covers all of them
+      const platforms = imageInfo?.isMultiPlatform ? imageInfo.platforms : []
+      const platformInfos = await Promise.all(platforms.map(p => loadPlatformInfo(repository, p.digest)))
+      onProgress?.(++done, tags.length)
+      return {
+        tag,
+        digest,
+        created: imageInfo?.created || null,
+        blobs: getImageBlobs(imageInfo, platformInfos.filter(Boolean)),
+        blobsComplete: Boolean(imageInfo) && platformInfos.every(Boolean)
+      }
+    }))
+  }
+
+  // Delete planned images one by one through the request queue
+  async function executeRetentionPlan(repository, images, onProgress) {
+    const results = []
+
+    for (const [index, image] of images.entries()) {
+      try {
+        await registryApi.enqueueRequest(() =>
+          registryApi.deleteManifest(repository, image.digest)
+        )
+        removeDeletedTags(repository, image.tags)
+        results.push({ ...image, success: true })
+      } catch (err) {
+        results.push({ ...image, success: false, error: err.message })
+      }
+      onProgress?.(index + 1, images.length)
+    }
+
+    return results
+  }
+
   function setFilter(filter) {
     state.filter = filter
   }
@@ -206,16 +498,37 @@ export function useRegistry() {
     return registryApi.getStorageInfo()
   }
 
-  function clearCache() {
-    imageCache.clearAll()
+  async function clearCache() {
+    await imageCache.clearAll()
+    await imageCache.clearContent()
   }
 
-  function getCacheStats() {
+  async function getCacheStats() {
     return imageCache.getStats()
   }
 
-  function clearImageCache(repository, tag) {
-    imageCache.clearImageInfo(repository, tag)
+  function getCacheTtls() {
+    return imageCache.getTtls()
+  }
+
+  function setCacheTtl(type, ttl) {
+    imageCache.setTtl(type, ttl)
+  }
+
+  // Forget a repository's cached tags and tag digests; the next visit asks the registry
+  async function clearRepositoryCache(repository) {
+    await imageCache.clearRepository(repository)
+    delete state.tags[repository]
+    for (const key of Object.keys(state.imageInfos)) {
+      if (key.startsWith(`${repository}:`)) {
+        delete state.imageInfos[key]
+        delete state.manifests[key]
+      }
+    }
+  }
+
+  async function clearImageCache(repository, tag) {
+    await imageCache.clearTagDigest(repository, tag)
     const key = `${repository}:${tag}`
     delete state.imageInfos[key]
     delete state.manifests[key]
@@ -227,30 +540,51 @@ export function useRegistry() {
     isConnected: computed(() => state.isConnected),
     isLoading: computed(() => state.isLoading),
     error: computed(() => state.error),
+    errorHint: computed(() => state.errorHint),
     repositories: computed(() => state.repositories),
     filteredRepositories,
     selectedRepo: computed(() => state.selectedRepo),
     tags: computed(() => state.tags),
+    incompleteTags: computed(() => state.incompleteTags),
     manifests: computed(() => state.manifests),
     imageInfos: computed(() => state.imageInfos),
+    platformInfos: computed(() => state.platformInfos),
     filter: computed(() => state.filter),
     credentials,
     storageInfo: computed(() => state.storageInfo),
     registryUrl: computed(() => state.registryUrl),
+    registries: computed(() => state.registries),
+    activeRegistry,
+    isAddingRegistry: computed(() => state.isAddingRegistry),
+    repositoriesIncomplete: computed(() => state.repositoriesIncomplete),
 
     // Actions
     connect,
     reconnect,
     disconnect,
+    switchRegistry,
+    startAddRegistry,
+    cancelAddRegistry,
+    renameRegistry,
+    removeRegistry,
     loadRepositories,
+    cancelLoadRepositories,
     loadTags,
     loadManifest,
     loadImageInfo,
+    loadPlatformInfo,
+    prepareTagDeletion,
+    deleteImage,
+    collectRetentionEntries,
+    executeRetentionPlan,
     setFilter,
     selectRepo,
     getStorageInfo,
     clearCache,
     getCacheStats,
+    getCacheTtls,
+    setCacheTtl,
+    clearRepositoryCache,
     clearImageCache
   }
 }
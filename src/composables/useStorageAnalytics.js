@@ -0,0 +1,175 @@
+import { computed, reactive, toRaw } from 'vue'
+import storageAnalytics from '../services/storageAnalytics'
+import { useRegistry } from './useRegistry'
+import { downloadFile } from '../utils/download'
+
+// Module-level state, so a scan keeps running while its dialog is closed
+const state = reactive({
+  status: 'idle',   // idle | running | paused | done
+  namespace: null,  // registry the scan belongs to
+  job: null,
+  report: null,
+  error: null,
+  progress: {
+    repositories: 0,
+    totalRepositories: 0,
+    currentRepository: null,
+    tags: 0,
+    totalTags: 0
+  }
+})
+
+let abortController = null
+let records = []
+
+export function useStorageAnalytics() {
+  const { activeRegistry } = useRegistry()
+
+  function updateReport() {
+    state.report = records.length ? storageAnalytics.buildReport(records) : null
+  }
+
+  function updateProgress() {
+    state.progress.repositories = state.job?.completed.length || 0
+    state.progress.totalRepositories = state.job?.repositories.length || 0
+  }
+
+  // Show the saved scan for the active registry, if any
+  async function loadSaved() {
+    const namespace = activeRegistry.value?.id
+    if (!namespace || state.status === 'running' || state.namespace === namespace) return
+
+    state.namespace = namespace
+    state.job = null
+    state.error = null
+    records = []
+
+    try {
+      const saved = await storageAnalytics.loadScan(namespace)
+      if (saved) {
+        state.job = saved.job
+        records = saved.records
+      }
+    } catch (err) {
+      state.error = err.message
+    }
+
+    updateProgress()
+    updateReport()
+    state.status = !state.job ? 'idle' : state.job.finishedAt ? 'done' : 'paused'
+  }
+
+  async function start() {
+    const namespace = activeRegistry.value?.id
+    if (!namespace || state.status === 'running') return
+
+    state.namespace = namespace
+    state.status = 'running'
+    state.error = null
+    state.job = null
+    records = []
+    updateReport()
+    abortController = new AbortController()
+
+    try {
+      state.job = await storageAnalytics.createJob(namespace, { signal: abortController.signal })
+      updateProgress()
+    } catch (err) {
+      state.status = 'idle'
+      if (err.name !== 'AbortError') state.error = err.message
+      return
+    }
+
+    await run()
+  }
+
+  async function resume() {
+    if (!state.job || state.status === 'running') return
+    if (state.namespace !== activeRegistry.value?.id) return
+
+    state.status = 'running'
+    state.error = null
+    abortController = new AbortController()
+    await run()
+  }
+
+  function pause() {
+    abortController?.abort()
+  }
+
+  // Scan the repositories not analyzed yet, one at a time (their tags in parallel)
+  async function run() {
+    // Plain object: reactive proxies can't be stored in IndexedDB
+    const job = toRaw(state.job)
+    const signal = abortController.signal
+
+    try {
+      for (const repository of job.repositories) {
+        if (job.completed.includes(repository)) continue
+        // The scan belongs to one registry; stop if the user switched
+        if (signal.aborted || activeRegistry.value?.id !== job.namespace) break
+
+        state.progress.currentRepository = repository
+        state.progress.tags = 0
+        state.progress.totalTags = 0
+
+        const record = await storageAnalytics.scanRepository(repository, {
+          signal,
+          onTag: (done, total) => {
+            state.progress.tags = done
+            state.progress.totalTags = total
+          }
+        })
+
+        job.completed.push(repository)
+        await storageAnalytics.saveRepository(job, record)
+        records.push(record)
+        updateProgress()
+        updateReport()
+      }
+
+      if (job.completed.length === job.repositories.length) {
+        job.finishedAt = new Date().toISOString()
+        await storageAnalytics.saveJob(job)
+        state.status = 'done'
+      } else {
+        state.status = 'paused'
+      }
+    } catch (err) {
+      state.status = 'paused'
+      if (err.name !== 'AbortError') state.error = err.message
+    } finally {
+      state.progress.currentRepository = null
+    }
+  }
+
+  function getExportName(extension) {
+    const name = (activeRegistry.value?.name || 'registry').replace(/[^\w.-]+/g, '_')
+    return `storage-${name}-${new Date().toISOString().slice(0, 10)}.${extension}`
+  }
+
+  function exportCsv() {
+    if (!state.report) return
+    downloadFile(getExportName('csv'), storageAnalytics.toCsv(state.report), 'text/csv')
+  }
+
+  function exportJson() {
+    if (!state.report) return
+    downloadFile(getExportName('json'), JSON.stringify(state.report, null, 2))
+  }
+
+  return {
+    status: computed(() => state.status),
+    report: computed(() => state.report),
+    error: computed(() => state.error),
+    progress: computed(() => state.progress),
+    job: computed(() => state.job),
+
+    loadSaved,
+    start,
+    resume,
+    pause,
+    exportCsv,
+    exportJson
+  }
+}
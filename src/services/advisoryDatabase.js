@@ -0,0 +1,373 @@
+/**
+ * Advisory Database Service
+ * Imports an OSV advisory feed (a JSON or JSONL export, or an OSV zip
+ * such as https://osv-vulnerabilities.storage.googleapis.com/<ecosystem>/all.zip)
+ * into IndexedDB, so packages can be matched against it without any
+ * request leaving the browser.
+ *
+ * Affected packages are stored under "<ecosystem>:<name>" keys, so finding
+ * the advisories for a package is a single key range read.
+ */
+
+import { openDatabase, promisifyRequest, transactionDone } from '../utils/idb'
+
+const DB_NAME = 'registry-lens-advisories'
+const DB_VERSION = 1
+const STORES = {
+  ADVISORIES: 'advisories', // id -> { id, aliases, summary, severity, score, published, modified, url }
+  AFFECTED: 'affected',     // [package, advisoryId] -> { package, advisoryId, ecosystem, release, name, ranges, versions }
+  SOURCES: 'sources'        // name -> { name, importedAt, count }
+}
+
+const BATCH_SIZE = 500
+
+export const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'UNKNOWN']
+
+// CVSS v3 base metric weights
+const CVSS_WEIGHTS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  PR: { N: 0.85, L: 0.62, H: 0.27 },
+  PR_CHANGED: { N: 0.85, L: 0.68, H: 0.5 },
+  UI: { N: 0.85, R: 0.62 },
+  CIA: { H: 0.56, L: 0.22, N: 0 }
+}
+
+const textDecoder = new TextDecoder()
+
+/**
+ * Read the files of a zip archive (stored or deflated entries, ZIP64 directories)
+ * @returns {AsyncGenerator<{ name: string, text: () => Promise<string> }>}
+ */
+async function * readZip(buffer) {
+  const bytes = new Uint8Array(buffer)
+  const view = new DataView(buffer)
+
+  // The end of central directory record sits in the last 64 KB
+  let end = -1
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i
+      break
+    }
+  }
+  if (end < 0) throw new Error('Not a zip archive')
+
+  let count = view.getUint16(end + 10, true)
+  let offset = view.getUint32(end + 16, true)
+  // ZIP64: the real values are in the ZIP64 end record, found through its locator
+  if ((count === 0xffff || offset === 0xffffffff) && view.getUint32(end - 20, true) === 0x07064b50) {
+    const zip64End = Number(view.getBigUint64(end - 12, true))
+    count = Number(view.getBigUint64(zip64End + 32, true))
+    offset = Number(view.getBigUint64(zip64End + 48, true))
+  }
+
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt zip central directory')
+    const method = view.getUint16(offset + 10, true)
+    const compressedSize = view.getUint32(offset + 20, true)
+    const nameLength = view.getUint16(offset + 28, true)
+    const extraLength = view.getUint16(offset + 30, true)
+    const commentLength = view.getUint16(offset + 32, true)
+    const localOffset = view.getUint32(offset + 42, true)
+    const name = textDecoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength))
+    offset += 46 + nameLength + extraLength + commentLength
+
+    if (name.endsWith('/')) continue
+    const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true)
+    const data = bytes.subarray(start, start + compressedSize)
+
+    yield {
+      name,
+      text: async () => {
+        if (method === 0) return textDecoder.decode(data)
+        if (method !== 8) throw new Error(`Unsupported zip compression method ${method} for ${name}`)
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'))
+        return new Response(stream).text()
+      }
+    }
+  }
+}
+
+class AdvisoryDatabase {
+  static getDatabase() {
+    return openDatabase(DB_NAME, DB_VERSION, (db, oldVersion) => {
+      if (oldVersion < 1) {
+        db.createObjectStore(STORES.ADVISORIES, { keyPath: 'id' })
+          .createIndex('aliases', 'aliases', { multiEntry: true })
+        db.createObjectStore(STORES.AFFECTED, { keyPath: ['package', 'advisoryId'] })
+          .createIndex('advisoryId', 'advisoryId')
+        db.createObjectStore(STORES.SOURCES, { keyPath: 'name' })
+      }
+    })
+  }
+
+  /**
+   * Ecosystem without its release, e.g. Alpine for Alpine:v3.18
+   */
+  static splitEcosystem(ecosystem) {
+    const [base, ...release] = (ecosystem || '').split(':')
+    return { ecosystem: base, release: release.join(':') || null }
+  }
+
+  /**
+   * Lookup key of a package: case-insensitive, PyPI names normalized per PEP 503
+   */
+  static getPackageKey(ecosystem, name) {
+    let normalized = (name || '').toLowerCase()
+    if (ecosystem === 'PyPI') normalized = normalized.replace(/[-_.]+/g, '-')
+    return `${ecosystem.toLowerCase()}:${normalized}`
+  }
+
+  /**
+   * CVSS v3.x base score from a vector like CVSS:3.1/AV:N/AC:L/...
+   */
+  static getCvssScore(vector) {
+    if (!/^CVSS:3\.[01]\//.test(vector || '')) return null
+    const metrics = Object.fromEntries(vector.split('/').slice(1).map(part => part.split(':')))
+    const changed = metrics.S === 'C'
+    const values = [
+      CVSS_WEIGHTS.AV[metrics.AV],
+      CVSS_WEIGHTS.AC[metrics.AC],
+      (changed ? CVSS_WEIGHTS.PR_CHANGED : CVSS_WEIGHTS.PR)[metrics.PR],
+      CVSS_WEIGHTS.UI[metrics.UI],
+      CVSS_WEIGHTS.CIA[metrics.C],
+      CVSS_WEIGHTS.CIA[metrics.I],
+      CVSS_WEIGHTS.CIA[metrics.A]
+    ]
+    if (values.some(v => v === undefined)) return null
+    const [av, ac, pr, ui, c, i, a] = values
+
+    const iss = 1 - (1 - c) * (1 - i) * (1 - a)
+    const impact = changed ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15) : 6.42 * iss
+    if (impact <= 0) return 0
+    const exploitability = 8.22 * av * ac * pr * ui
+    const score = changed ? Math.min(1.08 * (impact + exploitability), 10) : Math.min(impact + exploitability, 10)
+    // Round up to one decimal
+    return Math.ceil(score * 10 - 1e-9) / 10
+  }
+
+  static getSeverityFromScore(score) {
+    if (score == null) return 'UNKNOWN'
+    if (score >= 9) return 'CRITICAL'
+    if (score >= 7) return 'HIGH'
+    if (score >= 4) return 'MEDIUM'
+    return 'LOW'
+  }
+
+  /**
+   * Severity of an OSV entry: a CVSS v3 score where there is one, otherwise
+   * the severity label from the database (GHSA, Ubuntu, ...)
+   */
+  static getSeverity(osv) {
+    for (const entry of osv.severity || []) {
+      const score = this.getCvssScore(entry.score)
+      if (score != null) return { severity: this.getSeverityFromScore(score), score }
+    }
+
+    const labels = [
+      osv.database_specific?.severity,
+      ...(osv.severity || []).filter(entry => !/^CVSS/.test(entry.type)).map(entry => entry.score),
+      ...(osv.affected || []).map(a => a.ecosystem_specific?.severity || a.database_specific?.severity)
+    ]
+    for (const label of labels) {
+      const normalized = typeof label === 'string' ? label.toUpperCase() : null
+      if (normalized === 'MODERATE') return { severity: 'MEDIUM', score: null }
+      if (normalized === 'IMPORTANT') return { severity: 'HIGH', score: null }
+      if (SEVERITIES.includes(normalized)) return { severity: normalized, score: null }
+    }
+    return { severity: 'UNKNOWN', score: null }
+  }
+
+  /**
+   * Split an OSV entry into its advisory record and one affected record per package
+   */
+  static normalize(osv) {
+    if (!osv?.id || !Array.isArray(osv.affected)) return null
+
+    const { severity, score } = this.getSeverity(osv)
+    const advisory = {
+      id: osv.id,
+      aliases: [osv.id, ...(osv.aliases || [])],
+      summary: osv.summary || osv.details?.split('\n')[0].slice(0, 300) || '',
+      severity,
+      score,
+      published: osv.published || null,
+      modified: osv.modified || null,
+      url: osv.references?.find(ref => ref.type === 'ADVISORY')?.url || osv.references?.[0]?.url || null
+    }
+
+    // Entries for the same package (several releases, several ranges) are merged
+    const affected = new Map()
+    for (const entry of osv.affected) {
+      if (!entry.package?.name || !entry.package.ecosystem) continue
+      const { ecosystem, release } = this.splitEcosystem(entry.package.ecosystem)
+      const key = `${this.getPackageKey(ecosystem, entry.package.name)}|${release || ''}`
+      if (!affected.has(key)) {
+        affected.set(key, {
+          package: this.getPackageKey(ecosystem, entry.package.name) + (release ? `:${release}` : ''),
+          advisoryId: osv.id,
+          ecosystem,
+          release,
+          name: entry.package.name,
+          ranges: [],
+          versions: []
+        })
+      }
+      const record = affected.get(key)
+      // Git commit ranges can't be matched against package versions
+      record.ranges.push(...(entry.ranges || []).filter(range => range.type !== 'GIT'))
+      record.versions.push(...(entry.versions || []))
+    }
+
+    return { advisory, affected: [...affected.values()] }
+  }
+
+  /**
+   * Parse a feed file into OSV entries, one at a time
+   * Accepts an OSV zip, a JSON array, a { vulns: [...] } object, a single entry or JSON lines
+   */
+  static async * readFeed(file) {
+    const buffer = await file.arrayBuffer()
+    const head = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength))
+    if (head[0] === 0x50 && head[1] === 0x4b) {
+      for await (const entry of readZip(buffer)) {
+        if (!entry.name.endsWith('.json')) continue
+        try {
+          yield JSON.parse(await entry.text())
+        } catch (e) {
+          console.warn(`Skipping ${entry.name}:`, e)
+        }
+      }
+      return
+    }
+
+    const text = textDecoder.decode(buffer).trim()
+    let parsed
+    try {
+      parsed = JSON.parse(text)
+    } catch {
+      // JSON lines
+      for (const line of text.split('\n')) {
+        if (line.trim()) yield JSON.parse(line)
+      }
+      return
+    }
+    const entries = Array.isArray(parsed) ? parsed : parsed.vulns || [parsed]
+    yield * entries
+  }
+
+  /**
+   * Import a feed file, replacing advisories with the same id
+   * onProgress(count) is called after each batch
+   * @returns {Promise<{ name, importedAt, count }>}
+   */
+  static async importFile(file, { onProgress, signal } = {}) {
+    const db = await this.getDatabase()
+    let batch = []
+    let count = 0
+
+    const flush = async () => {
+      if (!batch.length) return
+      const tx = db.transaction([STORES.ADVISORIES, STORES.AFFECTED], 'readwrite')
+      const advisories = tx.objectStore(STORES.ADVISORIES)
+      const affected = tx.objectStore(STORES.AFFECTED)
+      for (const entry of batch) {
+        advisories.put(entry.advisory)
+        entry.affected.forEach(record => affected.put(record))
+      }
+      await transactionDone(tx)
+      count += batch.length
+      batch = []
+      onProgress?.(count)
+    }
+
+    for await (const osv of this.readFeed(file)) {
+      if (signal?.aborted) throw new DOMException('Import cancelled', 'AbortError')
+      const entry = this.normalize(osv)
+      if (entry) batch.push(entry)
+      if (batch.length >= BATCH_SIZE) await flush()
+    }
+    await flush()
+
+    if (!count) throw new Error('No OSV advisories found in this file')
+
+    const source = { name: file.name, importedAt: new Date().toISOString(), count }
+    const tx = db.transaction(STORES.SOURCES, 'readwrite')
+    tx.objectStore(STORES.SOURCES).put(source)
+    await transactionDone(tx)
+    return source
+  }
+
+  /**
+   * Number of advisories and affected packages, and the imported files
+   */
+  static async getStats() {
+    const db = await this.getDatabase()
+    const tx = db.transaction([STORES.ADVISORIES, STORES.AFFECTED, STORES.SOURCES])
+    const [advisories, packages, sources] = await Promise.all([
+      promisifyRequest(tx.objectStore(STORES.ADVISORIES).count()),
+      promisifyRequest(tx.objectStore(STORES.AFFECTED).count()),
+      promisifyRequest(tx.objectStore(STORES.SOURCES).getAll())
+    ])
+    return { advisories, packages, sources }
+  }
+
+  static async clear() {
+    const db = await this.getDatabase()
+    const tx = db.transaction([STORES.ADVISORIES, STORES.AFFECTED, STORES.SOURCES], 'readwrite')
+    Object.values(STORES).forEach(store => tx.objectStore(store).clear())
+    await transactionDone(tx)
+  }
+
+  /**
+   * Affected records for many package keys at once (any release)
+   * @param {string[]} keys - from getPackageKey
+   * @returns {Promise<Map<string, Array>>} key -> affected records
+   */
+  static async getAffected(keys) {
+    const db = await this.getDatabase()
+    const store = db.transaction(STORES.AFFECTED).objectStore(STORES.AFFECTED)
+    const unique = [...new Set(keys)]
+    const results = await Promise.all(unique.map(key =>
+      // "<key>" and "<key>:<release>" fall in this range, along with longer names to filter out
+      promisifyRequest(store.getAll(IDBKeyRange.bound([key], [`${key}\uffff`])))
+        .then(records => records.filter(r => this.getPackageKey(r.ecosystem, r.name) === key))
+    ))
+    return new Map(unique.map((key, index) => [key, results[index]]))
+  }
+
+  /**
+   * Advisories by id
+   * @returns {Promise<Map<string, Object>>}
+   */
+  static async getAdvisories(ids) {
+    const db = await this.getDatabase()
+    const store = db.transaction(STORES.ADVISORIES).objectStore(STORES.ADVISORIES)
+    const unique = [...new Set(ids)]
+    const advisories = await Promise.all(unique.map(id => promisifyRequest(store.get(id))))
+    return new Map(unique.map((id, index) => [id, advisories[index]]).filter(([, advisory]) => advisory))
+  }
+
+  /**
+   * Find advisories by id or alias (e.g. a CVE id shared by several databases)
+   * with their affected records
+   * @returns {Promise<Array<{ advisory, affected }>>}
+   */
+  static async findByAlias(query) {
+    const id = query.trim()
+    const db = await this.getDatabase()
+    const lookup = key => promisifyRequest(
+      db.transaction(STORES.ADVISORIES).objectStore(STORES.ADVISORIES).index('aliases').getAll(key)
+    )
+    let advisories = await lookup(id.toUpperCase())
+    // Ids are usually upper case, but not always
+    if (!advisories.length && id !== id.toUpperCase()) advisories = await lookup(id)
+
+    const affectedIndex = db.transaction(STORES.AFFECTED).objectStore(STORES.AFFECTED).index('advisoryId')
+    const affected = await Promise.all(advisories.map(advisory => promisifyRequest(affectedIndex.getAll(advisory.id))))
+    return advisories.map((advisory, index) => ({ advisory, affected: affected[index] }))
+  }
+}
+
+export default AdvisoryDatabase
@@ -0,0 +1,247 @@
+/**
+ * Connection Diagnostics Service
+ * Step-by-step checks for why the app can't talk to a registry: is /v2/
+ * reachable, does CORS let this site read it, does the preflight for
+ * authenticated requests pass, is it a v2 registry, and which auth scheme
+ * it uses. Each failing check says what to change.
+ */
+
+import { registryApi } from './registryApi'
+
+const isDev = import.meta.env.DEV
+
+export const CHECK_STATUS = {
+  OK: 'ok',
+  WARN: 'warn',
+  FAIL: 'fail',
+  SKIPPED: 'skipped'
+}
+
+const CHECKS = [
+  { id: 'url', label: 'Registry URL' },
+  { id: 'reachable', label: 'Reachability of /v2/' },
+  { id: 'cors', label: 'CORS (Access-Control-Allow-Origin)' },
+  { id: 'preflight', label: 'CORS preflight for authenticated requests' },
+  { id: 'api-version', label: 'Docker-Distribution-API-Version header' },
+  { id: 'auth', label: 'Authentication scheme' },
+  { id: 'credentials', label: 'Credentials' }
+]
+
+class ConnectionDiagnostics {
+  static getChecks() {
+    return CHECKS.map(check => ({ ...check, status: null, detail: null, fix: null }))
+  }
+
+  // Dev builds go through the Vite proxy, like registryApi does
+  static fetchRegistry(baseUrl, { headers = {}, mode = 'cors' } = {}) {
+    if (isDev) {
+      return fetch('/registry-api/', { headers: { ...headers, 'X-Registry-URL': baseUrl } })
+    }
+    return fetch(`${baseUrl}/v2/`, { headers, mode, cache: 'no-store' })
+  }
+
+  static fetchToken(realm, query, authHeader) {
+    const headers = authHeader ? { Authorization: authHeader } : {}
+    if (isDev) {
+      return fetch(`/registry-auth?${query}`, { headers: { ...headers, 'X-Token-Realm': realm } })
+    }
+    const url = new URL(realm)
+    query.forEach((value, key) => url.searchParams.append(key, value))
+    return fetch(url, { headers, mode: 'cors' })
+  }
+
+  /**
+   * Run every check in order
+   * onUpdate(checks) is called after each one, for live progress
+   */
+  static async run({ registryUrl, username, password }, { onUpdate } = {}) {
+    const checks = this.getChecks()
+    const byId = Object.fromEntries(checks.map(c => [c.id, c]))
+    const set = (id, status, detail, fix = null) => {
+      Object.assign(byId[id], { status, detail, fix })
+      onUpdate?.(checks)
+    }
+    const skipRest = (reason) => {
+      checks.filter(c => !c.status).forEach(c => Object.assign(c, { status: CHECK_STATUS.SKIPPED, detail: reason }))
+      onUpdate?.(checks)
+      return checks
+    }
+
+    const origin = window.location.origin
+    const authHeader = username && password ? `Basic ${btoa(`${username}:${password}`)}` : null
+
+    // URL
+    let baseUrl
+    try {
+      const url = new URL(registryUrl)
+      if (!['http:', 'https:'].includes(url.protocol)) throw new Error('unsupported protocol')
+      baseUrl = `${url.origin}${url.pathname.replace(/\/(v2\/?)?$/, '')}`
+    } catch {
+      set('url', CHECK_STATUS.FAIL, `"${registryUrl}" is not a valid http(s) URL`,
+        'Enter the full URL, e.g. https://registry.example.com')
+      return skipRest('Needs a valid URL')
+    }
+    if (!isDev && window.location.protocol === 'https:' && baseUrl.startsWith('http:')) {
+      set('url', CHECK_STATUS.FAIL, 'This page is served over HTTPS, so the browser blocks plain HTTP requests (mixed content)',
+        'Serve the registry over HTTPS, or run the app locally over HTTP')
+      return skipRest('Blocked as mixed content')
+    }
+    set('url', CHECK_STATUS.OK, baseUrl)
+
+    // Reachability and CORS for a simple request (no preflight)
+    let response = null
+    try {
+      response = await this.fetchRegistry(baseUrl)
+    } catch {
+      if (isDev) {
+        set('reachable', CHECK_STATUS.FAIL, 'The dev server proxy got no response',
+          'Check the URL and that the registry is running and reachable from this machine')
+        return skipRest('Registry not reachable')
+      }
+
+      // An opaque no-cors request still tells whether anything answered
+      let answered = false
+      try {
+        await fetch(`${baseUrl}/v2/`, { mode: 'no-cors', cache: 'no-store' })
+        answered = true
+      } catch {
+        answered = false
+      }
+
+      if (!answered) {
+        set('reachable', CHECK_STATUS.FAIL, 'No response at all: DNS, TLS certificate, firewall, or the registry is down',
+          `Open ${baseUrl}/v2/ in a new tab. If the certificate is self-signed, trust it first; if it doesn't load, fix the network or URL.`)
+        return skipRest('Registry not reachable')
+      }
+
+      set('reachable', CHECK_STATUS.OK, 'The registry answers, but the browser may not read the response')
+      set('cors', CHECK_STATUS.FAIL, `The response has no Access-Control-Allow-Origin header allowing ${origin}`,
+        `Add "Access-Control-Allow-Origin: ${origin}" to the registry's (or its reverse proxy's) responses, including 401 responses`)
+      return skipRest('Blocked by CORS')
+    }
+
+    set('reachable', CHECK_STATUS.OK, `HTTP ${response.status} from /v2/`)
+    if (isDev) {
+      set('cors', CHECK_STATUS.SKIPPED, 'Requests go through the dev server proxy')
+    } else {
+      set('cors', CHECK_STATUS.OK, `${origin} is allowed`)
+    }
+
+    // Preflight: the Authorization header makes the browser send OPTIONS first
+    if (isDev) {
+      set('preflight', CHECK_STATUS.SKIPPED, 'Requests go through the dev server proxy')
+    } else {
+      try {
+        await this.fetchRegistry(baseUrl, { headers: { Authorization: authHeader || 'Basic Og==' } })
+        set('preflight', CHECK_STATUS.OK, 'Authorization header allowed')
+      } catch {
+        set('preflight', CHECK_STATUS.FAIL, 'The OPTIONS preflight for requests with an Authorization header is rejected',
+          'Answer OPTIONS requests without authentication (200/204), with "Access-Control-Allow-Headers: Authorization, Content-Type" and "Access-Control-Allow-Methods: GET, HEAD, DELETE, OPTIONS"')
+      }
+    }
+
+    // API version
+    const apiVersion = response.headers.get('docker-distribution-api-version')
+    if (apiVersion === 'registry/2.0') {
+      set('api-version', CHECK_STATUS.OK, apiVersion)
+    } else if (response.status === 404) {
+      set('api-version', CHECK_STATUS.FAIL, '/v2/ returned 404, this is not a Docker Registry v2 API',
+        'Point the URL at the registry itself, not a UI or a different service (it must answer on /v2/)')
+      return skipRest('Not a registry')
+    } else if (apiVersion) {
+      set('api-version', CHECK_STATUS.WARN, `Unexpected version "${apiVersion}"`)
+    } else {
+      set('api-version', CHECK_STATUS.WARN, 'Header missing, or not exposed to the browser',
+        isDev ? 'Check the URL is a Docker Registry v2 endpoint' : 'Add Docker-Distribution-API-Version to Access-Control-Expose-Headers')
+    }
+
+    // Auth scheme, from the unauthenticated response
+    if (response.ok) {
+      set('auth', CHECK_STATUS.OK, 'No authentication required')
+      set('credentials', authHeader ? CHECK_STATUS.SKIPPED : CHECK_STATUS.OK,
+        authHeader ? 'Not needed, the registry allows anonymous access' : 'Not needed')
+      return checks
+    }
+    if (response.status !== 401) {
+      set('auth', CHECK_STATUS.FAIL, `Unexpected HTTP ${response.status} ${response.statusText} from /v2/`,
+        'The registry or a proxy in front of it is returning an error; check its logs')
+      return skipRest('Unexpected response')
+    }
+
+    const challenge = registryApi.parseAuthChallenge(response.headers.get('www-authenticate'))
+    if (!challenge) {
+      set('auth', CHECK_STATUS.FAIL, '401 without a readable WWW-Authenticate header',
+        'Add WWW-Authenticate to Access-Control-Expose-Headers so the browser can read the challenge')
+      return skipRest('Auth scheme unknown')
+    }
+    if (challenge.scheme === 'basic') {
+      set('auth', CHECK_STATUS.OK, 'Basic auth')
+    } else if (challenge.scheme === 'bearer') {
+      set('auth', CHECK_STATUS.OK, `Bearer token auth via ${challenge.params.realm || '(no realm)'}`)
+    } else {
+      set('auth', CHECK_STATUS.FAIL, `Unsupported scheme "${challenge.scheme}"`, 'Use Basic or Bearer token auth')
+      return skipRest('Unsupported auth scheme')
+    }
+
+    // Credentials
+    if (!authHeader) {
+      set('credentials', CHECK_STATUS.WARN, 'The registry requires login', 'Enter a username and password')
+      return checks
+    }
+
+    if (challenge.scheme === 'basic') {
+      try {
+        const authed = await this.fetchRegistry(baseUrl, { headers: { Authorization: authHeader } })
+        if (authed.ok) {
+          set('credentials', CHECK_STATUS.OK, 'Accepted')
+        } else {
+          set('credentials', CHECK_STATUS.FAIL, `Rejected (HTTP ${authed.status})`, 'Check the username and password')
+        }
+      } catch {
+        set('credentials', CHECK_STATUS.FAIL, 'The authenticated request was blocked', 'See the preflight check above')
+      }
+      return checks
+    }
+
+    // Bearer: the token server needs CORS as well
+    const { realm, service } = challenge.params
+    if (!realm) {
+      set('credentials', CHECK_STATUS.FAIL, 'The Bearer challenge names no token server (realm)',
+        'Fix the registry auth config so WWW-Authenticate includes realm="..."')
+      return checks
+    }
+    const query = new URLSearchParams()
+    if (service) query.set('service', service)
+
+    let tokenResponse
+    try {
+      tokenResponse = await this.fetchToken(realm, query, authHeader)
+    } catch {
+      set('credentials', CHECK_STATUS.FAIL, `The token server ${realm} can't be reached from this page`,
+        `Enable CORS on the token server too: allow ${origin}, the Authorization header and GET`)
+      return checks
+    }
+    if (!tokenResponse.ok) {
+      set('credentials', CHECK_STATUS.FAIL, `The token server refused them (HTTP ${tokenResponse.status})`,
+        'Check the username and password')
+      return checks
+    }
+
+    try {
+      const data = await tokenResponse.json()
+      const token = data.token || data.access_token
+      const authed = token && await this.fetchRegistry(baseUrl, { headers: { Authorization: `Bearer ${token}` } })
+      if (authed?.ok) {
+        set('credentials', CHECK_STATUS.OK, 'Token issued and accepted')
+      } else {
+        set('credentials', CHECK_STATUS.FAIL, token ? `The registry rejected the token (HTTP ${authed.status})` : 'No token in the token server response',
+          'Check that the registry and token server share the same service name and signing key')
+      }
+    } catch {
+      set('credentials', CHECK_STATUS.FAIL, 'Could not use the issued token', 'See the preflight check above')
+    }
+    return checks
+  }
+}
+
+export default ConnectionDiagnostics
@@ -0,0 +1,126 @@
+/**
+ * Content Trust Service
+ * Recomputes the digest of fetched manifests and blobs in the browser and
+ * compares it with the digest that was asked for and the registry's
+ * Docker-Content-Digest header, so content altered by the registry or
+ * anything in between doesn't go unnoticed.
+ */
+
+// Digest algorithms of the OCI spec, mapped to SubtleCrypto names
+const ALGORITHMS = {
+  sha256: 'SHA-256',
+  sha512: 'SHA-512'
+}
+
+export const VERIFY_STATUS = {
+  VERIFIED: 'verified',     // hash matches every digest it was compared with
+  MISMATCH: 'mismatch',     // hash differs from the requested digest or the header
+  UNVERIFIED: 'unverified'  // nothing to compare with, or hashing unavailable
+}
+
+// Worst first
+const STATUS_ORDER = [VERIFY_STATUS.MISMATCH, VERIFY_STATUS.UNVERIFIED, VERIFY_STATUS.VERIFIED]
+
+class ContentTrust {
+  /**
+   * SubtleCrypto only exists in secure contexts (HTTPS or localhost)
+   */
+  static isAvailable() {
+    return !!globalThis.crypto?.subtle
+  }
+
+  /**
+   * Algorithm part of a digest, e.g. sha256 for sha256:abc...
+   */
+  static getAlgorithm(digest) {
+    return digest?.split(':')[0].toLowerCase() || null
+  }
+
+  /**
+   * Whether an algorithm is one of the OCI spec's, e.g. sha256 or sha512
+   */
+  static isKnownAlgorithm(algorithm) {
+    return Object.hasOwn(ALGORITHMS, algorithm)
+  }
+
+  /**
+   * Hash bytes as a digest string, e.g. sha256:abc...
+   */
+  static async hash(bytes, algorithm = 'sha256') {
+    const buffer = await crypto.subtle.digest(ALGORITHMS[algorithm], bytes)
+    const hex = Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('')
+    return `${algorithm}:${hex}`
+  }
+
+  /**
+   * Check content against the digest it was requested by and the
+   * Docker-Content-Digest header, whichever are known
+   * @param {Uint8Array} bytes - the raw response body
+   * @param {{ expected?: string, header?: string }} digests
+   * @returns {Promise<{ status, expected, header, actual, reason }>}
+   */
+  static async verify(bytes, { expected = null, header = null } = {}) {
+    const result = { status: VERIFY_STATUS.UNVERIFIED, expected, header, actual: null, reason: null }
+    const reference = expected || header
+
+    if (!reference) {
+      result.reason = 'No digest to compare with: requested by tag and no Docker-Content-Digest header'
+      return result
+    }
+    if (!this.isAvailable()) {
+      result.reason = 'The browser only allows hashing on HTTPS or localhost'
+      return result
+    }
+
+    const algorithm = this.getAlgorithm(reference)
+    if (!ALGORITHMS[algorithm]) {
+      result.reason = `Unsupported digest algorithm "${algorithm}"`
+      return result
+    }
+
+    result.actual = await this.hash(bytes, algorithm)
+
+    if (expected && result.actual !== expected.toLowerCase()) {
+      result.status = VERIFY_STATUS.MISMATCH
+      result.reason = 'The content does not hash to the requested digest'
+      return result
+    }
+
+    if (header) {
+      const headerAlgorithm = this.getAlgorithm(header)
+      if (ALGORITHMS[headerAlgorithm]) {
+        const actual = headerAlgorithm === algorithm ? result.actual : await this.hash(bytes, headerAlgorithm)
+        if (actual !== header.toLowerCase()) {
+          result.status = VERIFY_STATUS.MISMATCH
+          result.reason = 'The Docker-Content-Digest header does not match the content'
+          return result
+        }
+      }
+    }
+
+    result.status = VERIFY_STATUS.VERIFIED
+    return result
+  }
+
+  /**
+   * Result for content served from the cache, which was checked when stored
+   */
+  static fromCache(digest, verified) {
+    return verified
+      ? { status: VERIFY_STATUS.VERIFIED, expected: digest, header: null, actual: digest, reason: 'Verified when cached' }
+      : { status: VERIFY_STATUS.UNVERIFIED, expected: digest, header: null, actual: null, reason: 'Cached without verification' }
+  }
+
+  /**
+   * Combine the checks for one image (manifest, config, platform manifest)
+   * @param {Array<{ label: string }>} checks - labelled verify() results
+   * @returns {{ status: string, checks: Array }}
+   */
+  static summarize(checks) {
+    const present = checks.filter(Boolean)
+    const status = STATUS_ORDER.find(s => present.some(check => check.status === s)) || VERIFY_STATUS.UNVERIFIED
+    return { status, checks: present }
+  }
+}
+
+export default ContentTrust
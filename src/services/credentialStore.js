@@ -8,6 +8,8 @@
  * - Credential Management API: Browser-managed, can integrate with password managers
  * - sessionStorage: Only persists for the session, cleared when browser closes
  * - Never stores passwords in localStorage (vulnerable to XSS)
+ *
+ * Credentials are stored per saved registry (see registryStore), keyed by its id.
  */
 
 const STORAGE_KEY = 'registry-credentials'
@@ -15,34 +17,58 @@ const CREDENTIAL_ID = 'docker-registry-ui'
 
 class CredentialStore {
   constructor() {
-    this.memoryCredentials = null
+    this.memoryCredentials = new Map() // registryId -> credentials
     this.supportsCredentialAPI = 'credentials' in navigator && 'PasswordCredential' in window
   }
 
+  /**
+   * Session storage key for a registry
+   */
+  getStorageKey(registryId) {
+    return `${STORAGE_KEY}:${registryId}`
+  }
+
+  /**
+   * Name shown in the browser's password manager
+   */
+  getCredentialName(registryUrl) {
+    return `Docker Registry: ${registryUrl}`
+  }
+
+  /**
+   * Password manager id of a registry's credential
+   * The browser keys credentials by origin and id, so the id includes the registry:
+   * the same username on two registries must not overwrite one another
+   */
+  getCredentialId(registryUrl, username) {
+    return `${username}@${registryUrl}`
+  }
+
   /**
    * Save credentials securely
    * Priority: Credential Management API > sessionStorage > memory
    */
-  async save(registryUrl, username, password) {
+  async save(registryId, registryUrl, username, password) {
     const credentials = { registryUrl, username, password }
 
     // Always keep in memory for current session
-    this.memoryCredentials = credentials
+    this.memoryCredentials.set(registryId, credentials)
 
     // Try Credential Management API first (most secure)
     if (this.supportsCredentialAPI && username && password) {
       try {
         const cred = new PasswordCredential({
-          id: username,
+          id: this.getCredentialId(registryUrl, username),
           password: password,
-          name: `Docker Registry: ${registryUrl}`,
+          name: this.getCredentialName(registryUrl),
           iconURL: '/favicon.ico'
         })
         await navigator.credentials.store(cred)
 
-        // Store only registry URL in sessionStorage (non-sensitive)
-        sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
+        // Store only registry URL and username in sessionStorage (non-sensitive)
+        sessionStorage.setItem(this.getStorageKey(registryId), JSON.stringify({
           registryUrl,
+          username,
           useCredentialAPI: true
         }))
 
@@ -54,7 +80,7 @@ class CredentialStore {
 
     // Fallback: sessionStorage (clears when browser closes)
     // For registries without auth, or when Credential API fails
-    sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
+    sessionStorage.setItem(this.getStorageKey(registryId), JSON.stringify({
       registryUrl,
       username: username || null,
       // Only store password in session if no Credential API
@@ -66,17 +92,17 @@ class CredentialStore {
   }
 
   /**
-   * Load saved credentials
+   * Load saved credentials for a registry
    */
-  async load() {
+  async load(registryId) {
     // First check memory
-    if (this.memoryCredentials) {
-      return this.memoryCredentials
+    if (this.memoryCredentials.has(registryId)) {
+      return this.memoryCredentials.get(registryId)
     }
 
     // Check sessionStorage
     try {
-      const stored = sessionStorage.getItem(STORAGE_KEY)
+      const stored = sessionStorage.getItem(this.getStorageKey(registryId))
       if (!stored) return null
 
       const data = JSON.parse(stored)
@@ -89,13 +115,15 @@ class CredentialStore {
             mediation: 'optional'
           })
 
-          if (cred && cred.type === 'password') {
-            this.memoryCredentials = {
+          // The browser picks which credential to return, so make sure it belongs to this registry
+          if (cred?.type === 'password' && cred.id === this.getCredentialId(data.registryUrl, data.username)) {
+            const credentials = {
               registryUrl: data.registryUrl,
-              username: cred.id,
+              username: data.username,
               password: cred.password
             }
-            return this.memoryCredentials
+            this.memoryCredentials.set(registryId, credentials)
+            return credentials
           }
         } catch (e) {
           console.warn('Failed to retrieve credentials from Credential API:', e)
@@ -104,12 +132,13 @@ class CredentialStore {
 
       // Use sessionStorage data
       if (data.registryUrl) {
-        this.memoryCredentials = {
+        const credentials = {
           registryUrl: data.registryUrl,
           username: data.username || '',
           password: data.password || ''
         }
-        return this.memoryCredentials
+        this.memoryCredentials.set(registryId, credentials)
+        return credentials
       }
     } catch (e) {
       console.error('Failed to load credentials:', e)
@@ -119,11 +148,11 @@ class CredentialStore {
   }
 
   /**
-   * Clear all stored credentials
+   * Clear stored credentials for a registry
    */
-  async clear() {
-    this.memoryCredentials = null
-    sessionStorage.removeItem(STORAGE_KEY)
+  async clear(registryId) {
+    this.memoryCredentials.delete(registryId)
+    sessionStorage.removeItem(this.getStorageKey(registryId))
 
     // Prevent automatic sign-in
     if (this.supportsCredentialAPI) {
@@ -136,17 +165,18 @@ class CredentialStore {
   }
 
   /**
-   * Get current credentials from memory (sync)
+   * Get a registry's credentials from memory (sync)
    */
-  getSync() {
-    return this.memoryCredentials
+  getSync(registryId) {
+    return this.memoryCredentials.get(registryId) || null
   }
 
   /**
-   * Check if we have any stored credentials
+   * Check if we have any stored credentials for a registry
    */
-  hasCredentials() {
-    return this.memoryCredentials !== null || sessionStorage.getItem(STORAGE_KEY) !== null
+  hasCredentials(registryId) {
+    return this.memoryCredentials.has(registryId) ||
+      sessionStorage.getItem(this.getStorageKey(registryId)) !== null
   }
 
   /**
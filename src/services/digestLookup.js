@@ -0,0 +1,240 @@
+/**
+ * Digest Lookup Service
+ * Reverse lookup: finds every repo:tag (and platform) that is a given
+ * manifest, contains a given layer, or is built on a given base image.
+ *
+ * A base image matches when its layer list is a prefix of the image's
+ * layers. Manifests come from the digest-addressed cache where possible,
+ * so repeated searches mostly only re-check tag digests.
+ */
+
+import { registryApi } from './registryApi'
+import imageCache from './imageCache'
+import tagDigests from './tagDigests'
+import { PRIORITY } from './requestScheduler'
+
+const DIGEST_PATTERN = /^[a-z0-9]+(?:[.+_-][a-z0-9]+)*:[a-f0-9]{32,}$/i
+
+class DigestLookup {
+  /**
+   * Parse a search like `sha256:...`, `debian:12@sha256:...` or `team/base:1.0`
+   * into { repository, tag, digest }, or null if it isn't a valid reference
+   */
+  static parseQuery(query) {
+    const text = (query || '').trim()
+    if (!text) return null
+
+    const at = text.lastIndexOf('@')
+    let name = at >= 0 ? text.slice(0, at) : text
+    let digest = at >= 0 ? text.slice(at + 1) : null
+
+    if (!digest && DIGEST_PATTERN.test(name)) {
+      digest = name
+      name = ''
+    }
+    if (digest && !DIGEST_PATTERN.test(digest)) return null
+    digest = digest?.toLowerCase() || null
+
+    let tag = null
+    const colon = name.lastIndexOf(':')
+    if (colon > name.lastIndexOf('/')) {
+      tag = name.slice(colon + 1)
+      name = name.slice(0, colon)
+    }
+
+    // Drop a registry host (registry.example.com/team/app), repositories here are host-relative
+    const parts = name.split('/').filter(Boolean)
+    if (parts.length > 1 && /[.:]|^localhost$/.test(parts[0])) parts.shift()
+    const repository = parts.join('/') || null
+
+    if (!digest && !(repository && tag)) return null
+    return { repository, tag, digest }
+  }
+
+  /**
+   * Read the images behind a manifest: one per platform for manifest lists
+   * Returns [{ manifestDigest, platform, layers: [digest] }]
+   */
+  static async readImages(repository, manifest, manifestDigest, options) {
+    if (!registryApi.isManifestList(manifest)) {
+      return [{
+        manifestDigest,
+        platform: null,
+        layers: (manifest.layers || []).map(l => l.digest)
+      }]
+    }
+
+    // Attestation manifests are listed as unknown/unknown
+    const entries = (manifest.manifests || []).filter(m => m.platform?.os !== 'unknown')
+    return Promise.all(entries.map(async (entry) => {
+      const platformManifest = await registryApi.getPlatformManifest(repository, entry.digest, options)
+      return {
+        manifestDigest: entry.digest,
+        platform: entry.platform || null,
+        layers: (platformManifest.layers || []).map(l => l.digest)
+      }
+    }))
+  }
+
+  /**
+   * Tag -> digest from the cache, or a HEAD request; null if the registry doesn't expose it
+   */
+  static async resolveTagDigest(repository, tag, options) {
+    try {
+      return await tagDigests.resolve(repository, tag, options)
+    } catch (e) {
+      if (e.name === 'AbortError') throw e
+      return null
+    }
+  }
+
+  /**
+   * Build the search target. When the query names a repository in this
+   * registry, its manifest is read up front to learn the base layer lists.
+   */
+  static async resolveTarget(query, options) {
+    const target = {
+      ...query,
+      manifestDigests: new Set(query.digest ? [query.digest] : []),
+      bases: [],       // [{ platform, layers }]
+      baseError: null
+    }
+    if (!query.repository) return target
+
+    try {
+      const reference = query.digest || query.tag
+      const manifest = await registryApi.getManifest(query.repository, reference, options)
+      const images = await this.readImages(query.repository, manifest, query.digest, options)
+      this.addBase(target, images)
+    } catch (e) {
+      if (e.name === 'AbortError') throw e
+      target.baseError = e.message
+    }
+    return target
+  }
+
+  static addBase(target, images) {
+    for (const image of images) {
+      if (image.manifestDigest) target.manifestDigests.add(image.manifestDigest)
+      if (image.layers.length && !target.bases.some(b => this.isSameLayers(b.layers, image.layers))) {
+        target.bases.push({ platform: image.platform, layers: image.layers })
+      }
+    }
+  }
+
+  static isSameLayers(a, b) {
+    return a.length === b.length && a.every((digest, i) => digest === b[i])
+  }
+
+  /**
+   * How an image matches the target, or null
+   */
+  static matchImage(image, tagDigest, target) {
+    if (target.manifestDigests.has(tagDigest) || target.manifestDigests.has(image.manifestDigest)) {
+      return { type: 'manifest' }
+    }
+
+    const base = target.bases.find(b =>
+      b.layers.length <= image.layers.length && b.layers.every((digest, i) => digest === image.layers[i])
+    )
+    if (base) {
+      return { type: 'base', basePlatform: base.platform, baseLayers: base.layers.length }
+    }
+
+    const layerIndex = target.digest ? image.layers.indexOf(target.digest) : -1
+    if (layerIndex >= 0) {
+      return { type: 'layer', layerIndex }
+    }
+    return null
+  }
+
+  /**
+   * Scan every repository and tag for images matching the query
+   *
+   * onTarget(target) is called once the target is resolved, onMatch(hit) for
+   * each hit as it's found, onProgress({ repositories, totalRepositories, currentRepository })
+   * after each repository.
+   */
+  static async search(query, { signal, onTarget, onMatch, onProgress } = {}) {
+    const options = { priority: PRIORITY.LOW, signal }
+    const target = await this.resolveTarget(query, options)
+    onTarget?.(target)
+
+    let repositories = await imageCache.getRepositories()
+    if (!repositories) {
+      repositories = await registryApi.getAllRepositories(options)
+      imageCache.saveRepositories(repositories)
+    }
+
+    // Images scanned so far, re-checked if the target turns up as a manifest later on
+    const scanned = []
+    const found = new Set()
+
+    const check = (entry) => {
+      const key = `${entry.repository}:${entry.tag}@${entry.image.manifestDigest || ''}`
+      if (found.has(key)) return
+      const match = this.matchImage(entry.image, entry.tagDigest, target)
+      if (!match) return
+      found.add(key)
+      onMatch?.({
+        repository: entry.repository,
+        tag: entry.tag,
+        platform: entry.image.platform,
+        manifestDigest: entry.image.manifestDigest,
+        ...match
+      })
+    }
+
+    for (let i = 0; i < repositories.length; i++) {
+      const repository = repositories[i]
+      onProgress?.({ repositories: i, totalRepositories: repositories.length, currentRepository: repository })
+
+      let tags = await imageCache.getTags(repository)
+      if (!tags) {
+        try {
+          tags = (await registryApi.getTags(repository, options)).tags || []
+          imageCache.saveTags(repository, tags)
+        } catch (e) {
+          if (e.name === 'AbortError') throw e
+          tags = []
+        }
+      }
+
+      await Promise.all(tags.map(async (tag) => {
+        try {
+          const tagDigest = await this.resolveTagDigest(repository, tag, options)
+          const manifest = await registryApi.getManifest(repository, tagDigest || tag, options)
+          const images = await this.readImages(repository, manifest, tagDigest, options)
+
+          // A digest-only query naming a manifest: its layers become the base to match
+          const isTarget = target.manifestDigests.has(tagDigest) ||
+            images.some(image => target.manifestDigests.has(image.manifestDigest))
+          if (isTarget) {
+            const basesBefore = target.bases.length
+            this.addBase(target, images.filter(image =>
+              tagDigest === target.digest || target.manifestDigests.has(image.manifestDigest)
+            ))
+            if (target.bases.length > basesBefore) {
+              onTarget?.(target)
+              scanned.forEach(check)
+            }
+          }
+
+          for (const image of images) {
+            const entry = { repository, tag, tagDigest, image }
+            scanned.push(entry)
+            check(entry)
+          }
+        } catch (e) {
+          if (e.name === 'AbortError') throw e
+          console.warn(`Digest lookup: could not read ${repository}:${tag}:`, e)
+        }
+      }))
+    }
+
+    onProgress?.({ repositories: repositories.length, totalRepositories: repositories.length, currentRepository: null })
+    return target
+  }
+}
+
+export default DigestLookup
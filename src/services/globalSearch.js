@@ -0,0 +1,197 @@
+/**
+ * Global Search Service
+ * Fuzzy search over repositories, tags, config labels and digests, for the
+ * command palette. Only searches what's already loaded: tags of opened
+ * repositories and details of viewed tags.
+ *
+ * Query syntax: free terms plus qualifiers, e.g.
+ *   api repo:team/ tag:1.2 label:org.opencontainers.image.revision=3f2a arch:arm64
+ *   sha256:3f2a9c (or sha512:...) or digest:3f2a9c for digest prefixes
+ */
+
+import ContentTrust from './contentTrust'
+
+const QUALIFIERS = ['repo', 'tag', 'label', 'arch', 'digest']
+// Bare hex is left to name matching, as tags are often commit hashes; use digest: for a bare prefix.
+// The algorithm must be one content trust knows, so name:tag terms like app:1 stay names
+const DIGEST_TERM = /^[a-z0-9]+:[a-f0-9]+$/i
+const MAX_RESULTS = 50
+
+// Characters that start a new "word" in repository and tag names
+const WORD_SEPARATORS = '/-_.:'
+
+class GlobalSearch {
+  /**
+   * Split a query into free terms and qualifiers
+   * Returns { terms, repo, tag, labels: [{ key, value }], arch, digest }
+   */
+  static parseQuery(text) {
+    const query = { terms: [], repo: [], tag: [], labels: [], arch: [], digest: [] }
+
+    for (const token of (text || '').trim().split(/\s+/).filter(Boolean)) {
+      const colon = token.indexOf(':')
+      const qualifier = colon > 0 ? token.slice(0, colon).toLowerCase() : null
+      const value = colon > 0 ? token.slice(colon + 1) : token
+
+      if (!QUALIFIERS.includes(qualifier) || !value) {
+        query.terms.push(token)
+      } else if (qualifier === 'label') {
+        const equals = value.indexOf('=')
+        query.labels.push(equals >= 0
+          ? { key: value.slice(0, equals), value: value.slice(equals + 1) }
+          : { key: value, value: null })
+      } else {
+        query[qualifier].push(value)
+      }
+    }
+    return query
+  }
+
+  static isEmpty(query) {
+    return QUALIFIERS.every(q => !(q === 'label' ? query.labels : query[q]).length) && !query.terms.length
+  }
+
+  /**
+   * Subsequence match with bonuses for consecutive characters and word starts
+   * Returns a score (higher is better), or null if the pattern doesn't match
+   */
+  static fuzzyScore(pattern, text) {
+    const p = pattern.toLowerCase()
+    const t = text.toLowerCase()
+    if (!p) return 0
+
+    // Exact and substring matches always rank above scattered ones
+    const index = t.indexOf(p)
+    if (index >= 0) {
+      const atWordStart = index === 0 || WORD_SEPARATORS.includes(t[index - 1])
+      return 100 + p.length * 2 + (atWordStart ? 20 : 0) + (t === p ? 50 : 0) - t.length / 100
+    }
+
+    let score = 0
+    let ti = 0
+    let previous = -2
+    for (const char of p) {
+      ti = t.indexOf(char, ti)
+      if (ti < 0) return null
+      if (ti === previous + 1) score += 5
+      if (ti === 0 || WORD_SEPARATORS.includes(t[ti - 1])) score += 3
+      score += 1
+      previous = ti
+      ti++
+    }
+    return score - t.length / 100
+  }
+
+  // All patterns must match; returns the summed score or null
+  static matchAll(patterns, text) {
+    let total = 0
+    for (const pattern of patterns) {
+      const score = this.fuzzyScore(pattern, text)
+      if (score == null) return null
+      total += score
+    }
+    return total
+  }
+
+  static isDigestTerm(term) {
+    return DIGEST_TERM.test(term) && ContentTrust.isKnownAlgorithm(ContentTrust.getAlgorithm(term))
+  }
+
+  static matchDigest(prefix, digests) {
+    const p = prefix.toLowerCase()
+    return digests.find(d => d && (d.startsWith(p) || d.split(':')[1]?.startsWith(p))) || null
+  }
+
+  static matchArch(value, platform) {
+    if (!platform) return false
+    const v = value.toLowerCase()
+    const full = [platform.os, platform.architecture, platform.variant].filter(Boolean).join('/').toLowerCase()
+    return platform.architecture?.toLowerCase() === v || full === v || full.endsWith(`/${v}`)
+  }
+
+  // label:key=value matches a key containing `key` whose value starts with `value`
+  static findLabel({ key, value }, labels) {
+    return Object.entries(labels || {}).find(([k, v]) =>
+      k.toLowerCase().includes(key.toLowerCase()) &&
+      (value == null || String(v).toLowerCase().startsWith(value.toLowerCase()))
+    ) || null
+  }
+
+  /**
+   * Search the loaded registry state
+   *
+   * source: { repositories, tags: { repo: [tag] }, getImages(repo, tag) }
+   * where getImages returns the tag's loaded images:
+   *   [{ platform, digests: [manifest/config digests], labels }]
+   *
+   * Returns [{ type: 'repository' | 'tag', repository, tag, platform, detail, score }]
+   */
+  static search(text, source) {
+    const query = this.parseQuery(text)
+    if (this.isEmpty(query)) return []
+
+    const digestTerms = query.terms.filter(t => this.isDigestTerm(t))
+    const nameTerms = query.terms.filter(t => !this.isDigestTerm(t))
+    const digestPrefixes = [...query.digest, ...digestTerms]
+    const needsImage = query.labels.length || query.arch.length || digestPrefixes.length
+    const results = []
+
+    // Repositories, unless the query is about tags or images
+    if (!query.tag.length && !needsImage) {
+      for (const repository of source.repositories) {
+        const repoScore = this.matchAll(query.repo, repository)
+        const termScore = this.matchAll(nameTerms, repository)
+        if (repoScore == null || termScore == null) continue
+        results.push({ type: 'repository', repository, tag: null, platform: null, detail: null, score: repoScore + termScore + 1 })
+      }
+    }
+
+    for (const [repository, tags] of Object.entries(source.tags)) {
+      const repoScore = this.matchAll(query.repo, repository)
+      if (repoScore == null) continue
+
+      for (const tag of tags) {
+        const tagScore = this.matchAll(query.tag, tag)
+        const termScore = this.matchAll(nameTerms, `${repository}:${tag}`)
+        if (tagScore == null || termScore == null) continue
+
+        let platform = null
+        let detail = null
+        if (needsImage) {
+          const match = this.matchImages(query, digestPrefixes, source.getImages(repository, tag))
+          if (!match) continue
+          platform = match.platform
+          detail = match.detail
+        }
+        results.push({ type: 'tag', repository, tag, platform, detail, score: repoScore + tagScore + termScore })
+      }
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || a.repository.localeCompare(b.repository))
+      .slice(0, MAX_RESULTS)
+  }
+
+  // First image of a tag that satisfies every image qualifier
+  static matchImages(query, digestPrefixes, images) {
+    for (const image of images) {
+      if (!query.arch.every(a => this.matchArch(a, image.platform))) continue
+      const labels = query.labels.map(filter => this.findLabel(filter, image.labels))
+      if (labels.some(l => !l)) continue
+
+      let digest = null
+      if (digestPrefixes.length) {
+        const matches = digestPrefixes.map(p => this.matchDigest(p, image.digests))
+        if (matches.some(m => !m)) continue
+        digest = matches[0]
+      }
+
+      const details = labels.map(([k, v]) => `${k}=${v}`)
+      if (digest) details.unshift(digest)
+      return { platform: image.platform, detail: details.join(' · ') || null }
+    }
+    return null
+  }
+}
+
+export default GlobalSearch
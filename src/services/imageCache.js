@@ -1,231 +1,416 @@
 /**
  * Image Cache Service
- * Stores image info, tags, and repository data in localStorage
- * to reduce API calls and improve performance
+ * Stores registry data in IndexedDB to reduce API calls and improve performance
+ *
+ * - Manifests and config blobs are stored by content digest. They are
+ *   immutable, so they never expire and are shared by every repository
+ *   (and registry) that references them, e.g. a common base image. The
+ *   least recently used content is evicted once it outgrows CONTENT_BUDGET.
+ * - Tag -> digest mappings, tag lists and the repository list can change.
+ *   They are short-lived and namespaced per saved registry, so the same
+ *   repo:tag on two registries never collide. An expired tag mapping is
+ *   revalidated with a HEAD request by the caller.
+ *
+ * Every method fails soft: if IndexedDB is unavailable the cache just misses.
  */
 
-const CACHE_PREFIX = 'registry_lens_cache:'
-const CACHE_TTL = 24 * 60 * 60 * 1000 // 24 hours
-const CACHE_KEYS = {
-  IMAGE_INFO: 'image_info',      // repo:tag -> image info
-  TAGS: 'tags',                  // repository -> tags array
-  REPOSITORIES: 'repositories',  // full repositories list
-  CACHE_META: 'meta'             // metadata about cache
+import { openDatabase, promisifyRequest, transactionDone } from '../utils/idb'
+
+const DB_NAME = 'registry-lens-cache'
+const DB_VERSION = 1
+const STORES = {
+  CONTENT: 'content',           // digest -> { digest, kind, data, verified }
+  CONTENT_META: 'content_meta', // digest -> { digest, kind, size, created, lastAccess }, small records for LRU
+  ENTRIES: 'entries'            // [namespace, type, id] -> { value, timestamp, size }
+}
+
+export const CACHE_TYPES = {
+  TAG_DIGEST: 'tag_digest',     // repo:tag -> manifest digest
+  TAGS: 'tags',                 // repository -> tags array
+  REPOSITORIES: 'repositories'  // full repositories list
 }
 
+// Defaults, can be changed per type with setTtl()
+export const DEFAULT_TTL = {
+  [CACHE_TYPES.TAG_DIGEST]: 5 * 60 * 1000,  // 5 minutes
+  [CACHE_TYPES.TAGS]: 60 * 60 * 1000,       // 1 hour
+  [CACHE_TYPES.REPOSITORIES]: 60 * 60 * 1000
+}
+const TTL_STORAGE_KEY = 'registry-lens-cache-ttl'
+
+const CONTENT_BUDGET = 50 * 1024 * 1024 // bytes of serialized content
+const EVICTION_DELAY = 2000             // ms, evict once after a burst of writes
+const LEGACY_PREFIX = 'registry_lens_cache:'
+
 class ImageCache {
+  static namespace = 'default'
+  static evictionTimer = null
+
   /**
-   * Get full cache key with prefix
+   * Switch the cache to a registry's namespace
    */
-  static getKey(type, identifier) {
-    return `${CACHE_PREFIX}${type}:${identifier}`
+  static setNamespace(registryId) {
+    this.namespace = registryId || 'default'
   }
 
   /**
-   * Save image info to cache
+   * TTL for a cache type in ms
    */
-  static saveImageInfo(repository, tag, imageInfo) {
+  static getTtl(type) {
+    return this.getTtls()[type]
+  }
+
+  /**
+   * TTLs for every expiring type, with user overrides applied
+   */
+  static getTtls() {
     try {
-      const key = this.getKey(CACHE_KEYS.IMAGE_INFO, `${repository}:${tag}`)
-      const data = {
-        value: imageInfo,
-        timestamp: Date.now()
+      const stored = JSON.parse(localStorage.getItem(TTL_STORAGE_KEY) || '{}')
+      return { ...DEFAULT_TTL, ...stored }
+    } catch {
+      return { ...DEFAULT_TTL }
+    }
+  }
+
+  /**
+   * Override the TTL for a cache type (ms), or reset it to the default with null
+   */
+  static setTtl(type, ttl) {
+    try {
+      const stored = JSON.parse(localStorage.getItem(TTL_STORAGE_KEY) || '{}')
+      if (ttl == null) {
+        delete stored[type]
+      } else {
+        stored[type] = ttl
       }
-      localStorage.setItem(key, JSON.stringify(data))
+      localStorage.setItem(TTL_STORAGE_KEY, JSON.stringify(stored))
     } catch (e) {
-      console.warn('Failed to save image info to cache:', e)
+      console.warn('Failed to save cache TTL:', e)
     }
   }
 
   /**
-   * Get image info from cache
+   * Open the cache database, creating stores on first use
+   */
+  static getDatabase() {
+    return openDatabase(DB_NAME, DB_VERSION, (db, oldVersion) => {
+      if (oldVersion < 1) {
+        db.createObjectStore(STORES.CONTENT, { keyPath: 'digest' })
+        db.createObjectStore(STORES.CONTENT_META, { keyPath: 'digest' })
+          .createIndex('lastAccess', 'lastAccess')
+        db.createObjectStore(STORES.ENTRIES, { keyPath: ['namespace', 'type', 'id'] })
+        this.removeLegacyCache()
+      }
+    })
+  }
+
+  /**
+   * Key range covering every entry of a namespace (optionally of one type)
    */
-  static getImageInfo(repository, tag) {
+  static getNamespaceRange(namespace, type) {
+    const lower = type ? [namespace, type] : [namespace]
+    // Arrays sort after strings, so [..., []] is past every id
+    const upper = type ? [namespace, type, []] : [namespace, []]
+    return IDBKeyRange.bound(lower, upper)
+  }
+
+  /**
+   * Get a namespaced entry, or null if missing or expired
+   */
+  static async getEntry(type, id) {
     try {
-      const key = this.getKey(CACHE_KEYS.IMAGE_INFO, `${repository}:${tag}`)
-      const cached = localStorage.getItem(key)
-      if (!cached) return null
+      const db = await this.getDatabase()
+      const entry = await promisifyRequest(
+        db.transaction(STORES.ENTRIES).objectStore(STORES.ENTRIES).get([this.namespace, type, id])
+      )
+      if (!entry) return null
 
-      const data = JSON.parse(cached)
       // Check if cache is still valid (TTL)
-      if (Date.now() - data.timestamp > CACHE_TTL) {
-        this.clearImageInfo(repository, tag)
+      if (Date.now() - entry.timestamp > this.getTtl(type)) {
+        this.deleteEntry(type, id)
         return null
       }
 
-      return data.value
+      return entry.value
     } catch (e) {
-      console.warn('Failed to get image info from cache:', e)
+      console.warn(`Failed to get ${type} from cache:`, e)
       return null
     }
   }
 
   /**
-   * Save tags for a repository
+   * Save a namespaced entry
    */
-  static saveTags(repository, tags) {
+  static async saveEntry(type, id, value) {
     try {
-      const key = this.getKey(CACHE_KEYS.TAGS, repository)
-      const data = {
-        value: tags,
-        timestamp: Date.now()
-      }
-      localStorage.setItem(key, JSON.stringify(data))
+      const db = await this.getDatabase()
+      const tx = db.transaction(STORES.ENTRIES, 'readwrite')
+      tx.objectStore(STORES.ENTRIES).put({
+        namespace: this.namespace,
+        type,
+        id,
+        value,
+        timestamp: Date.now(),
+        size: JSON.stringify(value).length
+      })
+      await transactionDone(tx)
     } catch (e) {
-      console.warn('Failed to save tags to cache:', e)
+      console.warn(`Failed to save ${type} to cache:`, e)
     }
   }
 
   /**
-   * Get tags for a repository
+   * Delete a namespaced entry
    */
-  static getTags(repository) {
+  static async deleteEntry(type, id) {
     try {
-      const key = this.getKey(CACHE_KEYS.TAGS, repository)
-      const cached = localStorage.getItem(key)
-      if (!cached) return null
-
-      const data = JSON.parse(cached)
-      // Check if cache is still valid
-      if (Date.now() - data.timestamp > CACHE_TTL) {
-        this.clearTags(repository)
-        return null
-      }
-
-      return data.value
+      const db = await this.getDatabase()
+      const tx = db.transaction(STORES.ENTRIES, 'readwrite')
+      tx.objectStore(STORES.ENTRIES).delete([this.namespace, type, id])
+      await transactionDone(tx)
     } catch (e) {
-      console.warn('Failed to get tags from cache:', e)
-      return null
+      console.warn(`Failed to clear ${type} from cache:`, e)
     }
   }
 
   /**
-   * Save repositories list
+   * Tag -> manifest digest, short-lived because tags can be re-pushed
+   */
+  static getTagDigest(repository, tag) {
+    return this.getEntry(CACHE_TYPES.TAG_DIGEST, `${repository}:${tag}`)
+  }
+
+  static saveTagDigest(repository, tag, digest) {
+    return this.saveEntry(CACHE_TYPES.TAG_DIGEST, `${repository}:${tag}`, digest)
+  }
+
+  static clearTagDigest(repository, tag) {
+    return this.deleteEntry(CACHE_TYPES.TAG_DIGEST, `${repository}:${tag}`)
+  }
+
+  /**
+   * Tags for a repository
    */
+  static getTags(repository) {
+    return this.getEntry(CACHE_TYPES.TAGS, repository)
+  }
+
+  static saveTags(repository, tags) {
+    return this.saveEntry(CACHE_TYPES.TAGS, repository, tags)
+  }
+
+  static clearTags(repository) {
+    return this.deleteEntry(CACHE_TYPES.TAGS, repository)
+  }
+
+  /**
+   * Repositories list
+   */
+  static getRepositories() {
+    return this.getEntry(CACHE_TYPES.REPOSITORIES, 'list')
+  }
+
   static saveRepositories(repositories) {
+    return this.saveEntry(CACHE_TYPES.REPOSITORIES, 'list', repositories)
+  }
+
+  static clearRepositories() {
+    return this.deleteEntry(CACHE_TYPES.REPOSITORIES, 'list')
+  }
+
+  /**
+   * Clear a repository's tags and tag -> digest mappings
+   * Its manifests and configs stay, they may be shared with other repositories
+   */
+  static async clearRepository(repository) {
     try {
-      const key = this.getKey(CACHE_KEYS.REPOSITORIES, 'list')
-      const data = {
-        value: repositories,
-        timestamp: Date.now()
-      }
-      localStorage.setItem(key, JSON.stringify(data))
+      const db = await this.getDatabase()
+      const tx = db.transaction(STORES.ENTRIES, 'readwrite')
+      const store = tx.objectStore(STORES.ENTRIES)
+      store.delete([this.namespace, CACHE_TYPES.TAGS, repository])
+      store.delete(IDBKeyRange.bound(
+        [this.namespace, CACHE_TYPES.TAG_DIGEST, `${repository}:`],
+        [this.namespace, CACHE_TYPES.TAG_DIGEST, `${repository}:\uffff`]
+      ))
+      await transactionDone(tx)
     } catch (e) {
-      console.warn('Failed to save repositories to cache:', e)
+      console.warn('Failed to clear repository from cache:', e)
     }
   }
 
   /**
-   * Get repositories list
+   * Get immutable content (manifest or config blob) by digest
    */
-  static getRepositories() {
+  static async getContent(digest) {
+    const entry = await this.getContentEntry(digest)
+    return entry ? entry.data : null
+  }
+
+  /**
+   * Get immutable content by digest with whether its hash was checked when stored
+   * @returns {Promise<{ data, verified: boolean }|null>}
+   */
+  static async getContentEntry(digest) {
     try {
-      const key = this.getKey(CACHE_KEYS.REPOSITORIES, 'list')
-      const cached = localStorage.getItem(key)
-      if (!cached) return null
-
-      const data = JSON.parse(cached)
-      // Check if cache is still valid
-      if (Date.now() - data.timestamp > CACHE_TTL) {
-        this.clearRepositories()
-        return null
+      const db = await this.getDatabase()
+      const tx = db.transaction([STORES.CONTENT, STORES.CONTENT_META], 'readwrite')
+      const entry = await promisifyRequest(tx.objectStore(STORES.CONTENT).get(digest))
+      if (!entry) return null
+
+      // Mark as recently used
+      const metaStore = tx.objectStore(STORES.CONTENT_META)
+      const meta = await promisifyRequest(metaStore.get(digest))
+      if (meta) {
+        metaStore.put({ ...meta, lastAccess: Date.now() })
       }
 
-      return data.value
+      return { data: entry.data, verified: !!entry.verified }
     } catch (e) {
-      console.warn('Failed to get repositories from cache:', e)
+      console.warn('Failed to get content from cache:', e)
       return null
     }
   }
 
   /**
-   * Clear specific image info
+   * Save immutable content by digest
+   * @param {string} kind - 'manifest' or 'blob'
+   * @param {{ verified?: boolean }} options - whether the content was hashed and matched its digest
    */
-  static clearImageInfo(repository, tag) {
+  static async saveContent(digest, kind, data, { verified = false } = {}) {
     try {
-      const key = this.getKey(CACHE_KEYS.IMAGE_INFO, `${repository}:${tag}`)
-      localStorage.removeItem(key)
+      const db = await this.getDatabase()
+      const tx = db.transaction([STORES.CONTENT, STORES.CONTENT_META], 'readwrite')
+      tx.objectStore(STORES.CONTENT).put({ digest, kind, data, verified })
+      const now = Date.now()
+      tx.objectStore(STORES.CONTENT_META).put({
+        digest,
+        kind,
+        size: JSON.stringify(data).length,
+        created: now,
+        lastAccess: now
+      })
+      await transactionDone(tx)
+      this.scheduleEviction()
     } catch (e) {
-      console.warn('Failed to clear image info from cache:', e)
+      console.warn('Failed to save content to cache:', e)
     }
   }
 
-  /**
-   * Clear tags for a repository
-   */
-  static clearTags(repository) {
-    try {
-      const key = this.getKey(CACHE_KEYS.TAGS, repository)
-      localStorage.removeItem(key)
-    } catch (e) {
-      console.warn('Failed to clear tags from cache:', e)
-    }
+  static scheduleEviction() {
+    clearTimeout(this.evictionTimer)
+    this.evictionTimer = setTimeout(() => this.evictContent(), EVICTION_DELAY)
   }
 
   /**
-   * Clear repositories list
+   * Drop least recently used content until it fits the budget
    */
-  static clearRepositories() {
+  static async evictContent(budget = CONTENT_BUDGET) {
     try {
-      const key = this.getKey(CACHE_KEYS.REPOSITORIES, 'list')
-      localStorage.removeItem(key)
+      const db = await this.getDatabase()
+      const tx = db.transaction([STORES.CONTENT, STORES.CONTENT_META], 'readwrite')
+      const metaStore = tx.objectStore(STORES.CONTENT_META)
+      const metas = await promisifyRequest(metaStore.getAll())
+
+      let total = metas.reduce((sum, meta) => sum + meta.size, 0)
+      if (total > budget) {
+        metas.sort((a, b) => a.lastAccess - b.lastAccess)
+        for (const meta of metas) {
+          if (total <= budget) break
+          tx.objectStore(STORES.CONTENT).delete(meta.digest)
+          metaStore.delete(meta.digest)
+          total -= meta.size
+        }
+      }
+
+      await transactionDone(tx)
     } catch (e) {
-      console.warn('Failed to clear repositories from cache:', e)
+      console.warn('Failed to evict cached content:', e)
     }
   }
 
   /**
-   * Clear all cache
+   * Clear all entries for the current registry (or another namespace)
+   * Content is shared between registries and cleared by clearContent()
    */
-  static clearAll() {
+  static async clearAll(namespace = this.namespace) {
     try {
-      const keys = Object.keys(localStorage)
-      keys.forEach(key => {
-        if (key.startsWith(CACHE_PREFIX)) {
-          localStorage.removeItem(key)
-        }
-      })
+      const db = await this.getDatabase()
+      const tx = db.transaction(STORES.ENTRIES, 'readwrite')
+      tx.objectStore(STORES.ENTRIES).delete(this.getNamespaceRange(namespace))
+      await transactionDone(tx)
     } catch (e) {
       console.warn('Failed to clear all cache:', e)
     }
   }
 
   /**
-   * Get cache size in bytes
+   * Clear all cached manifests and config blobs
    */
-  static getCacheSize() {
+  static async clearContent() {
     try {
-      let size = 0
-      const keys = Object.keys(localStorage)
-      keys.forEach(key => {
-        if (key.startsWith(CACHE_PREFIX)) {
-          size += localStorage.getItem(key).length
-        }
-      })
-      return size
+      const db = await this.getDatabase()
+      const tx = db.transaction([STORES.CONTENT, STORES.CONTENT_META], 'readwrite')
+      tx.objectStore(STORES.CONTENT).clear()
+      tx.objectStore(STORES.CONTENT_META).clear()
+      await transactionDone(tx)
     } catch (e) {
-      console.warn('Failed to get cache size:', e)
-      return 0
+      console.warn('Failed to clear cached content:', e)
     }
   }
 
   /**
-   * Get cache stats
+   * Get cache stats: current registry's entries plus shared content
+   * types: { [type]: { count, size, oldest } }, content is split into 'manifest' and 'blob'
    */
-  static getStats() {
+  static async getStats() {
+    const empty = { count: 0, size: 0, sizeKB: 0, contentSize: 0, budget: CONTENT_BUDGET, oldest: null, types: {} }
     try {
-      const keys = Object.keys(localStorage)
-      const cacheKeys = keys.filter(key => key.startsWith(CACHE_PREFIX))
+      const db = await this.getDatabase()
+      const tx = db.transaction([STORES.ENTRIES, STORES.CONTENT_META])
+      const [entries, metas] = await Promise.all([
+        promisifyRequest(tx.objectStore(STORES.ENTRIES).getAll(this.getNamespaceRange(this.namespace))),
+        promisifyRequest(tx.objectStore(STORES.CONTENT_META).getAll())
+      ])
+
+      const types = {}
+      const add = (type, size, timestamp) => {
+        const stats = types[type] || (types[type] = { count: 0, size: 0, oldest: null })
+        stats.count++
+        stats.size += size
+        if (timestamp && (!stats.oldest || timestamp < stats.oldest)) stats.oldest = timestamp
+      }
+      entries.forEach(e => add(e.type, e.size, e.timestamp))
+      metas.forEach(m => add(m.kind, m.size, m.created || m.lastAccess))
+
+      const all = Object.values(types)
+      const size = all.reduce((sum, t) => sum + t.size, 0)
+      const oldest = all.reduce((min, t) => (t.oldest && (!min || t.oldest < min) ? t.oldest : min), null)
 
       return {
-        count: cacheKeys.length,
-        size: this.getCacheSize(),
-        sizeKB: (this.getCacheSize() / 1024).toFixed(2),
-        keys: cacheKeys
+        count: entries.length + metas.length,
+        size,
+        sizeKB: (size / 1024).toFixed(2),
+        contentSize: metas.reduce((sum, m) => sum + m.size, 0),
+        budget: CONTENT_BUDGET,
+        oldest,
+        types
       }
     } catch (e) {
       console.warn('Failed to get cache stats:', e)
-      return { count: 0, size: 0, sizeKB: 0, keys: [] }
+      return empty
+    }
+  }
+
+  /**
+   * Remove entries left in localStorage by earlier versions
+   */
+  static removeLegacyCache() {
+    try {
+      Object.keys(localStorage)
+        .filter(key => key.startsWith(LEGACY_PREFIX))
+        .forEach(key => localStorage.removeItem(key))
+    } catch (e) {
+      console.warn('Failed to remove legacy cache:', e)
     }
   }
 }
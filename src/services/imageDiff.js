@@ -0,0 +1,151 @@
+/**
+ * Image Diff Service
+ * Compares two images (manifest + config, as returned by getImageInfo)
+ * layer by layer and field by field
+ */
+
+import { getImageManifest } from '../utils/manifest'
+
+class ImageDiff {
+  /**
+   * Diff layers by digest
+   */
+  static diffLayers(manifestA, manifestB) {
+    const layersA = manifestA?.layers || []
+    const layersB = manifestB?.layers || []
+    const digestsA = new Set(layersA.map(l => l.digest))
+    const digestsB = new Set(layersB.map(l => l.digest))
+
+    const shared = layersB.filter(l => digestsA.has(l.digest))
+    const added = layersB.filter(l => !digestsA.has(l.digest))
+    const removed = layersA.filter(l => !digestsB.has(l.digest))
+
+    const sum = layers => layers.reduce((total, l) => total + (l.size || 0), 0)
+    const sizeA = sum(layersA)
+    const sizeB = sum(layersB)
+
+    return {
+      added,
+      removed,
+      shared,
+      sizeA,
+      sizeB,
+      sizeDelta: sizeB - sizeA,
+      addedSize: sum(added),
+      removedSize: sum(removed),
+      sharedSize: sum(shared)
+    }
+  }
+
+  /**
+   * Diff two key/value maps, returns [{ key, before, after, status }]
+   * status is one of 'added' | 'removed' | 'changed' | 'unchanged'
+   */
+  static diffMaps(mapA = {}, mapB = {}) {
+    const keys = new Set([...Object.keys(mapA || {}), ...Object.keys(mapB || {})])
+    return [...keys].sort().map(key => {
+      const before = mapA?.[key]
+      const after = mapB?.[key]
+      let status = 'unchanged'
+      if (before === undefined) status = 'added'
+      else if (after === undefined) status = 'removed'
+      else if (JSON.stringify(before) !== JSON.stringify(after)) status = 'changed'
+      return { key, before, after, status }
+    })
+  }
+
+  /**
+   * Turn an Env array (KEY=VALUE) into a map
+   */
+  static envToMap(env) {
+    const map = {}
+    for (const entry of env || []) {
+      const index = entry.indexOf('=')
+      if (index === -1) {
+        map[entry] = ''
+      } else {
+        map[entry.slice(0, index)] = entry.slice(index + 1)
+      }
+    }
+    return map
+  }
+
+  /**
+   * Compare a single config value (string or array)
+   */
+  static diffValue(before, after) {
+    const changed = JSON.stringify(before ?? null) !== JSON.stringify(after ?? null)
+    return { before: before ?? null, after: after ?? null, changed }
+  }
+
+  /**
+   * Line-level diff of two sequences using longest common subsequence,
+   * returns [{ value, status: 'added' | 'removed' | 'unchanged' }]
+   */
+  static diffSequence(seqA, seqB) {
+    const n = seqA.length
+    const m = seqB.length
+    const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0))
+
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = seqA[i] === seqB[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+      }
+    }
+
+    const result = []
+    let i = 0
+    let j = 0
+    while (i < n && j < m) {
+      if (seqA[i] === seqB[j]) {
+        result.push({ value: seqA[i], status: 'unchanged' })
+        i++
+        j++
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        result.push({ value: seqA[i++], status: 'removed' })
+      } else {
+        result.push({ value: seqB[j++], status: 'added' })
+      }
+    }
+    while (i < n) result.push({ value: seqA[i++], status: 'removed' })
+    while (j < m) result.push({ value: seqB[j++], status: 'added' })
+
+    return result
+  }
+
+  /**
+   * Diff the image config blobs
+   */
+  static diffConfig(configA, configB) {
+    const a = configA?.config || {}
+    const b = configB?.config || {}
+
+    const historyA = (configA?.history || []).map(h => h.created_by || '')
+    const historyB = (configB?.history || []).map(h => h.created_by || '')
+
+    return {
+      env: this.diffMaps(this.envToMap(a.Env), this.envToMap(b.Env)),
+      labels: this.diffMaps(a.Labels, b.Labels),
+      exposedPorts: this.diffMaps(a.ExposedPorts, b.ExposedPorts),
+      entrypoint: this.diffValue(a.Entrypoint, b.Entrypoint),
+      cmd: this.diffValue(a.Cmd, b.Cmd),
+      user: this.diffValue(a.User || null, b.User || null),
+      workdir: this.diffValue(a.WorkingDir || null, b.WorkingDir || null),
+      history: this.diffSequence(historyA, historyB)
+    }
+  }
+
+  /**
+   * Full diff of two images
+   */
+  static diffImages(imageInfoA, imageInfoB) {
+    return {
+      layers: this.diffLayers(getImageManifest(imageInfoA), getImageManifest(imageInfoB)),
+      config: this.diffConfig(imageInfoA?.config, imageInfoB?.config)
+    }
+  }
+}
+
+export default ImageDiff
@@ -0,0 +1,118 @@
+/**
+ * Image History Service
+ * Maps config history entries to manifest layers and reconstructs
+ * a Dockerfile-like view of the build steps
+ */
+
+const SHELL_PREFIX = /^\/bin\/(?:ba)?sh -c\s+/
+const NOP_PREFIX = /^#\(nop\)\s*/
+const BUILD_ARGS_PREFIX = /^\|\d+\s+((?:\S+=\S*\s+)*)/
+const BUILDKIT_SUFFIX = /\s*# buildkit$/
+const DOCKERFILE_INSTRUCTIONS = [
+  'ADD', 'ARG', 'CMD', 'COPY', 'ENTRYPOINT', 'ENV', 'EXPOSE', 'HEALTHCHECK',
+  'LABEL', 'MAINTAINER', 'ONBUILD', 'RUN', 'SHELL', 'STOPSIGNAL', 'USER',
+  'VOLUME', 'WORKDIR'
+]
+
+class ImageHistory {
+  /**
+   * Pair each history entry with its layer
+   * Every entry without empty_layer produced the next layer in manifest.layers
+   * @returns {Array} [{ index, createdBy, created, author, comment, emptyLayer, layer, layerIndex }]
+   */
+  static mapHistoryToLayers(config, manifest) {
+    const history = config?.history || []
+    const layers = manifest?.layers || []
+    let layerIndex = 0
+
+    return history.map((entry, index) => {
+      const emptyLayer = !!entry.empty_layer
+      const layer = emptyLayer ? null : layers[layerIndex] || null
+      const mapped = {
+        index,
+        createdBy: entry.created_by || '',
+        created: entry.created || null,
+        author: entry.author || null,
+        comment: entry.comment || null,
+        emptyLayer,
+        layer,
+        layerIndex: layer ? layerIndex : null
+      }
+      if (!emptyLayer) layerIndex++
+      return mapped
+    })
+  }
+
+  /**
+   * Turn a single created_by command into a Dockerfile instruction
+   */
+  static toInstruction(createdBy) {
+    let command = (createdBy || '').trim()
+    if (!command) return null
+
+    // BuildKit records build args as "|2 KEY=value KEY2=value /bin/sh -c ..."
+    let buildArgs = ''
+    const argsMatch = command.match(BUILD_ARGS_PREFIX)
+    if (argsMatch) {
+      buildArgs = argsMatch[1].trim()
+      command = command.slice(argsMatch[0].length)
+    }
+
+    command = command.replace(BUILDKIT_SUFFIX, '')
+
+    // Classic builder: "/bin/sh -c #(nop) CMD [...]" for metadata, "/bin/sh -c cmd" for RUN
+    if (SHELL_PREFIX.test(command)) {
+      command = command.replace(SHELL_PREFIX, '')
+      if (NOP_PREFIX.test(command)) {
+        command = command.replace(NOP_PREFIX, '').trim()
+      } else {
+        return this.formatRun(command, buildArgs)
+      }
+    }
+
+    const keyword = command.split(/\s+/)[0].toUpperCase()
+    if (!DOCKERFILE_INSTRUCTIONS.includes(keyword)) {
+      return `# ${command}`
+    }
+
+    const rest = command.slice(keyword.length).trim()
+    switch (keyword) {
+      case 'RUN':
+        return this.formatRun(rest.replace(SHELL_PREFIX, ''), buildArgs)
+      case 'ADD':
+      case 'COPY':
+        // Legacy format: "ADD file:abc123 in /dest"
+        return `${keyword} ${rest.replace(/\s+in\s+/, ' ')}`
+      case 'EXPOSE':
+        // Legacy format: "EXPOSE map[80/tcp:{}]"
+        return `EXPOSE ${rest.replace(/^map\[|\]$/g, '').replace(/:\{\}/g, '')}`
+      default:
+        return `${keyword} ${rest}`
+    }
+  }
+
+  static formatRun(command, buildArgs) {
+    const run = `RUN ${command.trim()}`
+    return buildArgs ? `# build args: ${buildArgs}\n${run}` : run
+  }
+
+  /**
+   * Reconstruct a Dockerfile-like text from the config history
+   */
+  static toDockerfile(config) {
+    const history = config?.history || []
+    const lines = [
+      '# Reconstructed from image history - base image steps are included',
+      '# and COPY/ADD sources are content hashes, not original paths'
+    ]
+
+    for (const entry of history) {
+      const instruction = this.toInstruction(entry.created_by)
+      if (instruction) lines.push(instruction)
+    }
+
+    return lines.join('\n')
+  }
+}
+
+export default ImageHistory
@@ -0,0 +1,380 @@
+/**
+ * Layer Browser Service
+ * Streams a layer blob, decompresses it in the browser and reads the tar
+ * entries without holding the whole layer in memory.
+ *
+ * Only small file contents are kept so they can be viewed; everything else
+ * is skipped as it streams past.
+ */
+
+import { registryApi } from './registryApi'
+import { PRIORITY } from './requestScheduler'
+
+const BLOCK_SIZE = 512
+const MAX_INLINE_SIZE = 256 * 1024         // keep contents of files up to 256 KB
+const MAX_INLINE_TOTAL = 32 * 1024 * 1024  // but no more than 32 MB per layer
+export const MAX_PREVIEW_SIZE = 1024 * 1024 // files larger than 1 MB are not previewed
+const WHITEOUT_PREFIX = '.wh.'
+const OPAQUE_WHITEOUT = '.wh..wh..opq'
+
+const TYPE_NAMES = {
+  '0': 'file',
+  '\0': 'file',
+  '1': 'hardlink',
+  '2': 'symlink',
+  '3': 'char',
+  '4': 'block',
+  '5': 'directory',
+  '6': 'fifo',
+  '7': 'file'
+}
+
+const textDecoder = new TextDecoder()
+
+/**
+ * Reads exact byte counts from a ReadableStream
+ */
+class StreamReader {
+  constructor(stream) {
+    this.reader = stream.getReader()
+    this.chunks = []
+    this.length = 0
+    this.done = false
+  }
+
+  async fill(n) {
+    while (this.length < n && !this.done) {
+      const { value, done } = await this.reader.read()
+      if (done) {
+        this.done = true
+      } else if (value.length) {
+        this.chunks.push(value)
+        this.length += value.length
+      }
+    }
+  }
+
+  // Take up to n buffered bytes, copying them into target if given
+  take(n, target = null) {
+    let offset = 0
+    while (offset < n && this.chunks.length) {
+      const chunk = this.chunks[0]
+      const count = Math.min(chunk.length, n - offset)
+      if (target) target.set(chunk.subarray(0, count), offset)
+      offset += count
+      if (count === chunk.length) {
+        this.chunks.shift()
+      } else {
+        this.chunks[0] = chunk.subarray(count)
+      }
+    }
+    this.length -= offset
+    return offset
+  }
+
+  async read(n) {
+    await this.fill(n)
+    if (this.length < n) return null
+    const out = new Uint8Array(n)
+    this.take(n, out)
+    return out
+  }
+
+  async skip(n) {
+    while (n > 0) {
+      await this.fill(1)
+      if (!this.length) return
+      n -= this.take(Math.min(n, this.length))
+    }
+  }
+
+  cancel() {
+    this.reader.cancel().catch(() => {})
+  }
+}
+
+class LayerBrowser {
+  /**
+   * Compression used by a layer, from its media type
+   * @returns {'gzip' | 'zstd' | null | undefined} null for plain tar, undefined if not a tar layer
+   */
+  static getCompression(mediaType) {
+    if (!mediaType) return 'gzip'
+    if (mediaType.includes('zstd')) return 'zstd'
+    if (mediaType.includes('gzip')) return 'gzip'
+    if (mediaType.includes('tar')) return null
+    return undefined
+  }
+
+  static isSupported(mediaType) {
+    return this.getCompression(mediaType) !== undefined
+  }
+
+  /**
+   * Open a layer blob as a decompressed tar stream
+   */
+  static async openLayer(repository, layer, { signal, onProgress } = {}) {
+    const compression = this.getCompression(layer.mediaType)
+    if (compression === undefined) {
+      throw new Error(`Layer media type ${layer.mediaType} is not a tar archive`)
+    }
+
+    let decompressor = null
+    if (compression) {
+      try {
+        decompressor = new DecompressionStream(compression)
+      } catch {
+        throw new Error(`This browser cannot decompress ${compression} layers`)
+      }
+    }
+
+    const response = await registryApi.getBlobStream(repository, layer.digest, { signal, priority: PRIORITY.HIGH })
+    let stream = response.body
+
+    // Count compressed bytes for progress reporting
+    if (onProgress) {
+      let loaded = 0
+      stream = stream.pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+          loaded += chunk.length
+          onProgress(loaded, layer.size || 0)
+          controller.enqueue(chunk)
+        }
+      }))
+    }
+
+    return decompressor ? stream.pipeThrough(decompressor) : stream
+  }
+
+  static readString(block, offset, length) {
+    const bytes = block.subarray(offset, offset + length)
+    const end = bytes.indexOf(0)
+    return textDecoder.decode(end === -1 ? bytes : bytes.subarray(0, end))
+  }
+
+  static readOctal(block, offset, length) {
+    // GNU base-256 encoding for large values
+    if (block[offset] & 0x80) {
+      let value = 0
+      for (let i = offset + 1; i < offset + length; i++) {
+        value = value * 256 + block[i]
+      }
+      return value
+    }
+    const text = this.readString(block, offset, length).trim()
+    return text ? parseInt(text, 8) : 0
+  }
+
+  static parsePax(bytes) {
+    const text = textDecoder.decode(bytes)
+    const attrs = {}
+    let offset = 0
+    while (offset < text.length) {
+      const space = text.indexOf(' ', offset)
+      if (space === -1) break
+      const length = parseInt(text.slice(offset, space))
+      if (!length) break
+      const record = text.slice(space + 1, offset + length - 1)
+      const eq = record.indexOf('=')
+      if (eq !== -1) attrs[record.slice(0, eq)] = record.slice(eq + 1)
+      offset += length
+    }
+    return attrs
+  }
+
+  static normalizePath(path) {
+    return path.replace(/^\.?\/+/, '').replace(/\/+$/, '')
+  }
+
+  /**
+   * Read all tar entries from a decompressed stream
+   * @param {Function} onEntry - called for every entry, return false to stop reading
+   * @param {Function} wantContent - (entry) => boolean, keep this entry's content
+   */
+  static async readTar(stream, { onEntry, wantContent = () => false } = {}) {
+    const reader = new StreamReader(stream)
+    let longName = null
+    let longLink = null
+    let pax = {}
+
+    try {
+      while (true) {
+        const header = await reader.read(BLOCK_SIZE)
+        if (!header) break
+        // A zero block marks the end of the archive
+        if (header.every(b => b === 0)) break
+
+        const typeflag = String.fromCharCode(header[156])
+        let size = this.readOctal(header, 124, 12)
+        const padding = (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE
+
+        // Extension headers describe the next entry
+        if (typeflag === 'x' || typeflag === 'L' || typeflag === 'K' || typeflag === 'g') {
+          const data = await reader.read(size)
+          await reader.skip(padding)
+          if (!data) break
+          if (typeflag === 'x') pax = this.parsePax(data)
+          if (typeflag === 'L') longName = this.readString(data, 0, data.length)
+          if (typeflag === 'K') longLink = this.readString(data, 0, data.length)
+          continue
+        }
+
+        let name = this.readString(header, 0, 100)
+        // POSIX ustar stores a path prefix; old GNU headers ("ustar  ") use that space for other fields
+        const magic = this.readString(header, 257, 6)
+        if (magic === 'ustar') {
+          const prefix = this.readString(header, 345, 155)
+          if (prefix) name = `${prefix}/${name}`
+        }
+        name = pax.path || longName || name
+        if (pax.size) size = parseInt(pax.size)
+
+        const path = this.normalizePath(name)
+        const baseName = path.split('/').pop()
+        const entry = {
+          path,
+          type: TYPE_NAMES[typeflag] || 'other',
+          size,
+          mode: this.readOctal(header, 100, 8),
+          mtime: this.readOctal(header, 136, 12),
+          linkname: pax.linkpath || longLink || this.readString(header, 157, 100) || null,
+          whiteout: baseName.startsWith(WHITEOUT_PREFIX),
+          opaque: baseName === OPAQUE_WHITEOUT,
+          content: null
+        }
+
+        longName = null
+        longLink = null
+        pax = {}
+
+        if (size && wantContent(entry)) {
+          entry.content = await reader.read(size)
+        } else {
+          await reader.skip(size)
+        }
+        await reader.skip((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE)
+
+        if (onEntry(entry) === false) break
+      }
+    } finally {
+      reader.cancel()
+    }
+  }
+
+  /**
+   * List every entry in a layer, keeping contents of small files
+   */
+  static async listLayer(repository, layer, options = {}) {
+    const stream = await this.openLayer(repository, layer, options)
+    const entries = []
+    let inlineTotal = 0
+
+    await this.readTar(stream, {
+      wantContent: entry => {
+        if (entry.type !== 'file' || entry.size > MAX_INLINE_SIZE) return false
+        if (inlineTotal + entry.size > MAX_INLINE_TOTAL) return false
+        inlineTotal += entry.size
+        return true
+      },
+      onEntry: entry => {
+        entries.push(entry)
+      }
+    })
+
+    return entries
+  }
+
+  /**
+   * Stream a layer again and extract one file's content
+   */
+  static async extractFile(repository, layer, path, options = {}) {
+    const stream = await this.openLayer(repository, layer, options)
+    let content = null
+
+    await this.readTar(stream, {
+      wantContent: entry => entry.path === path,
+      onEntry: entry => {
+        if (entry.path !== path) return true
+        content = entry.content
+        return false
+      }
+    })
+
+    return content
+  }
+
+  /**
+   * Build a nested tree from flat entries
+   * Directory sizes are the sum of their contents
+   */
+  static buildTree(entries) {
+    const root = { name: '/', path: '', type: 'directory', size: 0, children: new Map() }
+
+    const ensureDir = (path) => {
+      let node = root
+      if (!path) return node
+      let current = ''
+      for (const part of path.split('/')) {
+        current = current ? `${current}/${part}` : part
+        if (!node.children.has(part)) {
+          node.children.set(part, { name: part, path: current, type: 'directory', size: 0, children: new Map() })
+        }
+        node = node.children.get(part)
+      }
+      return node
+    }
+
+    for (const entry of entries) {
+      if (!entry.path) continue
+      if (entry.type === 'directory') {
+        Object.assign(ensureDir(entry.path), { mode: entry.mode, mtime: entry.mtime })
+        continue
+      }
+      const parts = entry.path.split('/')
+      const name = parts.pop()
+      const parent = ensureDir(parts.join('/'))
+      parent.children.set(name, { ...entry, name })
+    }
+
+    const finalize = (node) => {
+      if (!node.children) return node.size || 0
+      let total = 0
+      for (const child of node.children.values()) {
+        total += finalize(child)
+      }
+      node.size = total
+      return total
+    }
+    finalize(root)
+
+    return root
+  }
+
+  /**
+   * Decode file content as text, or null if it looks binary
+   */
+  static decodeText(bytes) {
+    if (!bytes) return null
+    if (bytes.subarray(0, 8192).includes(0)) return null
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(bytes)
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Format a numeric mode as ls-style permissions, e.g. drwxr-xr-x
+   */
+  static formatMode(mode, type) {
+    const typeChar = { directory: 'd', symlink: 'l', char: 'c', block: 'b', fifo: 'p' }[type] || '-'
+    const perms = ['r', 'w', 'x']
+    let result = typeChar
+    for (let i = 8; i >= 0; i--) {
+      result += (mode >> i) & 1 ? perms[(8 - i) % 3] : '-'
+    }
+    return result
+  }
+}
+
+export default LayerBrowser
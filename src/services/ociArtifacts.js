@@ -0,0 +1,159 @@
+/**
+ * OCI Artifacts Service
+ * Recognizes manifests that aren't container images (Helm charts,
+ * signatures, attestations, SBOMs, ...) and describes the artifacts
+ * attached to an image, whether listed by the OCI 1.1 referrers API or
+ * found through cosign's sha256-<hash>.sig/.att/.sbom tags.
+ */
+
+// Config media types of runnable images; anything else makes the manifest an artifact
+const IMAGE_CONFIG_TYPES = [
+  'application/vnd.oci.image.config.v1+json',
+  'application/vnd.docker.container.image.v1+json'
+]
+
+export const EMPTY_CONFIG_TYPE = 'application/vnd.oci.empty.v1+json'
+
+export const ARTIFACT_CATEGORIES = {
+  SIGNATURE: 'signature',
+  ATTESTATION: 'attestation',
+  SBOM: 'sbom',
+  HELM: 'helm',
+  OTHER: 'other'
+}
+
+// Known artifact, config and layer media types
+const KNOWN_TYPES = {
+  'application/vnd.dev.cosign.artifact.sig.v1+json': { label: 'Cosign signature', category: ARTIFACT_CATEGORIES.SIGNATURE },
+  'application/vnd.dev.cosign.simplesigning.v1+json': { label: 'Cosign signature', category: ARTIFACT_CATEGORIES.SIGNATURE },
+  'application/vnd.dev.sigstore.bundle.v0.3+json': { label: 'Sigstore bundle', category: ARTIFACT_CATEGORIES.SIGNATURE },
+  'application/vnd.dev.sigstore.bundle+json;version=0.3': { label: 'Sigstore bundle', category: ARTIFACT_CATEGORIES.SIGNATURE },
+  'application/vnd.cncf.notary.signature': { label: 'Notary signature', category: ARTIFACT_CATEGORIES.SIGNATURE },
+  'application/vnd.dev.cosign.artifact.att.v1+json': { label: 'Cosign attestation', category: ARTIFACT_CATEGORIES.ATTESTATION },
+  'application/vnd.dsse.envelope.v1+json': { label: 'In-toto attestation', category: ARTIFACT_CATEGORIES.ATTESTATION },
+  'application/vnd.in-toto+json': { label: 'In-toto attestation', category: ARTIFACT_CATEGORIES.ATTESTATION },
+  'application/vnd.dev.cosign.artifact.sbom.v1+json': { label: 'SBOM', category: ARTIFACT_CATEGORIES.SBOM },
+  'application/spdx+json': { label: 'SPDX SBOM', category: ARTIFACT_CATEGORIES.SBOM },
+  'text/spdx': { label: 'SPDX SBOM', category: ARTIFACT_CATEGORIES.SBOM },
+  'application/vnd.cyclonedx+json': { label: 'CycloneDX SBOM', category: ARTIFACT_CATEGORIES.SBOM },
+  'application/vnd.cyclonedx+xml': { label: 'CycloneDX SBOM', category: ARTIFACT_CATEGORIES.SBOM },
+  'application/vnd.syft+json': { label: 'Syft SBOM', category: ARTIFACT_CATEGORIES.SBOM },
+  'application/vnd.cncf.helm.config.v1+json': { label: 'Helm chart', category: ARTIFACT_CATEGORIES.HELM },
+  'application/vnd.cncf.helm.chart.content.v1.tar+gzip': { label: 'Helm chart', category: ARTIFACT_CATEGORIES.HELM },
+  'application/vnd.wasm.config.v0+json': { label: 'WebAssembly module', category: ARTIFACT_CATEGORIES.OTHER },
+  'application/vnd.module.wasm.content.layer.v1+wasm': { label: 'WebAssembly module', category: ARTIFACT_CATEGORIES.OTHER }
+}
+
+// Cosign stores what it attaches under tags named after the subject digest
+export const COSIGN_SUFFIXES = {
+  sig: ARTIFACT_CATEGORIES.SIGNATURE,
+  att: ARTIFACT_CATEGORIES.ATTESTATION,
+  sbom: ARTIFACT_CATEGORIES.SBOM
+}
+
+const TITLE_ANNOTATION = 'org.opencontainers.image.title'
+
+class OciArtifacts {
+  /**
+   * Artifact type of a manifest: artifactType, else a non-image config
+   * media type, else null for a container image
+   */
+  static getArtifactType(manifest) {
+    if (!manifest) return null
+    if (manifest.artifactType) return manifest.artifactType
+    // Indexes without an artifactType are multi-platform images
+    if (manifest.manifests) return null
+
+    const configType = manifest.config?.mediaType
+    if (!configType || IMAGE_CONFIG_TYPES.includes(configType)) return null
+    // An empty config carries no type; the layers say what it is
+    if (configType === EMPTY_CONFIG_TYPE) return manifest.layers?.[0]?.mediaType || configType
+    return configType
+  }
+
+  /**
+   * Whether an image config describes a runnable image
+   */
+  static isImageConfigType(mediaType) {
+    return !mediaType || IMAGE_CONFIG_TYPES.includes(mediaType)
+  }
+
+  /**
+   * Readable label and category for an artifact or layer media type
+   */
+  static describeType(mediaType) {
+    if (!mediaType) return { label: 'Unknown', category: ARTIFACT_CATEGORIES.OTHER }
+    const known = KNOWN_TYPES[mediaType] || KNOWN_TYPES[mediaType.split(';')[0]]
+    if (known) return known
+    if (/spdx/i.test(mediaType)) return { label: 'SPDX SBOM', category: ARTIFACT_CATEGORIES.SBOM }
+    if (/cyclonedx/i.test(mediaType)) return { label: 'CycloneDX SBOM', category: ARTIFACT_CATEGORIES.SBOM }
+    if (/in-toto|dsse|attestation|provenance/i.test(mediaType)) return { label: 'Attestation', category: ARTIFACT_CATEGORIES.ATTESTATION }
+    if (/signature|\.sig\b/i.test(mediaType)) return { label: 'Signature', category: ARTIFACT_CATEGORIES.SIGNATURE }
+    return { label: mediaType, category: ARTIFACT_CATEGORIES.OTHER }
+  }
+
+  /**
+   * Files of an artifact: its layers, named by their title annotation
+   */
+  static getFiles(manifest) {
+    return (manifest?.layers || []).map((layer, index) => ({
+      name: layer.annotations?.[TITLE_ANNOTATION] || `layer ${index + 1}`,
+      mediaType: layer.mediaType,
+      size: layer.size,
+      digest: layer.digest,
+      annotations: layer.annotations || {}
+    }))
+  }
+
+  /**
+   * Cosign tag for something attached to a digest, e.g. sha256-abc....sig
+   */
+  static getCosignTag(digest, suffix) {
+    return `${digest.replace(':', '-')}.${suffix}`
+  }
+
+  /**
+   * Digest a cosign tag is attached to, or null if it isn't one
+   */
+  static parseCosignTag(tag) {
+    const match = tag.match(/^(sha256|sha512)-([a-f0-9]+)\.(sig|att|sbom)$/)
+    return match ? { digest: `${match[1]}:${match[2]}`, suffix: match[3] } : null
+  }
+
+  /**
+   * Turn a referrer descriptor into a list entry
+   */
+  static toReferrer(descriptor, extra = {}) {
+    const artifactType = descriptor.artifactType || null
+    const { label, category } = this.describeType(artifactType)
+    return {
+      digest: descriptor.digest,
+      mediaType: descriptor.mediaType,
+      size: descriptor.size,
+      artifactType,
+      label,
+      category,
+      annotations: descriptor.annotations || {},
+      created: descriptor.annotations?.['org.opencontainers.image.created'] || null,
+      ...extra
+    }
+  }
+
+  /**
+   * BuildKit keeps provenance and SBOM attestations inside the image index,
+   * as unknown/unknown entries pointing at the platform manifest they describe
+   */
+  static getIndexAttestations(index) {
+    if (!index?.manifests) return []
+    return index.manifests
+      .filter(m => m.annotations?.['vnd.docker.reference.type'] === 'attestation-manifest')
+      .map(m => this.toReferrer(m, {
+        label: 'BuildKit attestations',
+        category: ARTIFACT_CATEGORIES.ATTESTATION,
+        subject: m.annotations['vnd.docker.reference.digest'],
+        source: 'index'
+      }))
+  }
+}
+
+export default OciArtifacts
@@ -0,0 +1,168 @@
+/**
+ * OS Packages Service
+ * Reads the package databases of apk (Alpine, Wolfi) and dpkg (Debian,
+ * Ubuntu, distroless) out of an image's layers, for images without an SBOM.
+ * Layers are read from the top down, so the newest copy of each database wins.
+ */
+
+import LayerBrowser from './layerBrowser'
+
+const APK_DB = 'lib/apk/db/installed'
+const DPKG_DB = 'var/lib/dpkg/status'
+// Distroless images keep one status file per package instead
+const DPKG_STATUS_DIR = 'var/lib/dpkg/status.d/'
+const OS_RELEASE = ['etc/os-release', 'usr/lib/os-release']
+
+const textDecoder = new TextDecoder()
+
+// "Key: value" paragraphs separated by blank lines, with indented continuation lines
+function parseParagraphs(text) {
+  return text.split(/\n\s*\n/).map(block => {
+    const fields = {}
+    let last = null
+    for (const line of block.split('\n')) {
+      if (/^\s/.test(line) && last) continue
+      const colon = line.indexOf(':')
+      if (colon <= 0) continue
+      last = line.slice(0, colon)
+      fields[last] = line.slice(colon + 1).trim()
+    }
+    return fields
+  }).filter(fields => Object.keys(fields).length)
+}
+
+class OsPackages {
+  /**
+   * Parse an os-release file into { id, versionId, name }
+   */
+  static parseOsRelease(text) {
+    const values = {}
+    for (const line of text.split('\n')) {
+      const match = line.match(/^([A-Z_]+)=(.*)$/)
+      if (match) values[match[1]] = match[2].replace(/^["']|["']$/g, '')
+    }
+    return {
+      id: values.ID || null,
+      versionId: values.VERSION_ID || null,
+      name: values.PRETTY_NAME || values.NAME || null
+    }
+  }
+
+  /**
+   * Parse an apk installed database: paragraphs of single-letter fields
+   */
+  static parseApk(text, distro) {
+    const namespace = distro?.id || 'alpine'
+    return text.split(/\n\s*\n/).map(block => {
+      const fields = {}
+      for (const line of block.split('\n')) {
+        if (line[1] === ':') fields[line[0]] = line.slice(2)
+      }
+      return fields
+    }).filter(fields => fields.P && fields.V).map(fields => this.toPackage({
+      type: 'apk',
+      namespace,
+      name: fields.P,
+      version: fields.V,
+      license: fields.L || null,
+      upstream: fields.o && fields.o !== fields.P ? fields.o : null,
+      distro
+    }))
+  }
+
+  /**
+   * Parse a dpkg status file, keeping installed packages only
+   */
+  static parseDpkg(text, distro) {
+    const namespace = distro?.id || 'debian'
+    return parseParagraphs(text)
+      .filter(fields => fields.Package && fields.Version)
+      .filter(fields => !fields.Status || fields.Status.endsWith(' installed'))
+      .map(fields => {
+        // "Source: name (version)" when the source version differs
+        const source = fields.Source?.split(' ')[0] || null
+        return this.toPackage({
+          type: 'deb',
+          namespace,
+          name: fields.Package,
+          version: fields.Version,
+          license: null,
+          upstream: source && source !== fields.Package ? source : null,
+          distro
+        })
+      })
+  }
+
+  /**
+   * Package entry shaped like an SBOM package, with a PURL carrying the
+   * source package and distro release as qualifiers
+   */
+  static toPackage({ type, namespace, name, version, license, upstream, distro }) {
+    const qualifiers = []
+    if (upstream) qualifiers.push(`upstream=${encodeURIComponent(upstream)}`)
+    if (distro?.id && distro.versionId) qualifiers.push(`distro=${encodeURIComponent(`${distro.id}-${distro.versionId}`)}`)
+    const purl = `pkg:${type}/${namespace}/${encodeURIComponent(name)}@${encodeURIComponent(version)}` +
+      (qualifiers.length ? `?${qualifiers.join('&')}` : '')
+    return { id: purl, name, version, purl, license, type }
+  }
+
+  /**
+   * Read the OS package list of an image
+   * @param {string} repository
+   * @param {Array} layers - manifest layers, bottom first
+   * @param {{ signal?: AbortSignal, onLayer?: Function }} options - onLayer(index, total) before each layer is read
+   * @returns {Promise<{ distro, packages: Array, source: string } | null>} null when no package database is found
+   */
+  static async read(repository, layers, { signal, onLayer } = {}) {
+    let distro = null
+    let database = null // { kind, text }
+    const statusFiles = new Map() // path -> text
+    const removed = new Set()
+    const wanted = path => [APK_DB, DPKG_DB, ...OS_RELEASE].includes(path) || path.startsWith(DPKG_STATUS_DIR)
+
+    const candidates = layers.filter(layer => LayerBrowser.isSupported(layer.mediaType)).reverse()
+    for (const [index, layer] of candidates.entries()) {
+      if (database && distro) break
+      onLayer?.(index, candidates.length)
+
+      const stream = await LayerBrowser.openLayer(repository, layer, { signal })
+      const whiteouts = []
+      await LayerBrowser.readTar(stream, {
+        wantContent: entry => entry.type === 'file' && wanted(entry.path) && !removed.has(entry.path),
+        onEntry: entry => {
+          if (entry.whiteout) {
+            const dir = entry.path.split('/').slice(0, -1).join('/')
+            const name = entry.path.split('/').pop().replace(/^\.wh\./, '')
+            whiteouts.push(dir ? `${dir}/${name}` : name)
+            return
+          }
+          if (!entry.content) return
+          const text = textDecoder.decode(entry.content)
+          if (OS_RELEASE.includes(entry.path)) {
+            if (!distro) distro = this.parseOsRelease(text)
+          } else if (entry.path.startsWith(DPKG_STATUS_DIR)) {
+            if (!statusFiles.has(entry.path)) statusFiles.set(entry.path, text)
+          } else if (!database) {
+            database = { kind: entry.path === APK_DB ? 'apk' : 'dpkg', text }
+          }
+        }
+      })
+      // Files deleted by this layer don't exist in the layers below it
+      whiteouts.forEach(path => removed.add(path))
+      // A deleted database means no packages are installed that way; stop looking for it
+      if (removed.has(APK_DB) || removed.has(DPKG_DB)) database = database || { kind: null, text: '' }
+    }
+
+    if (database?.kind === 'apk') {
+      return { distro, packages: this.parseApk(database.text, distro), source: `/${APK_DB}` }
+    }
+    if (database?.kind === 'dpkg' || statusFiles.size) {
+      const text = [database?.text || '', ...statusFiles.values()].join('\n\n')
+      const source = database?.kind === 'dpkg' ? `/${DPKG_DB}` : `/${DPKG_STATUS_DIR}`
+      return { distro, packages: this.parseDpkg(text, distro), source }
+    }
+    return null
+  }
+}
+
+export default OsPackages
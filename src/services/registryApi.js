@@ -1,44 +1,63 @@
 /**
  * Docker Registry API Service
  * Handles communication with Docker Registry v2 API
- * Implements lazy loading and request throttling to avoid API overload
+ * Implements lazy loading and a concurrent, rate-limit aware request queue
  */
 
 import { credentialStore } from './credentialStore'
-
-const REQUEST_DELAY = 100 // ms between requests to avoid throttling
+import { RequestScheduler } from './requestScheduler'
+import imageCache from './imageCache'
+import ContentTrust, { VERIFY_STATUS } from './contentTrust'
+import OciArtifacts, { COSIGN_SUFFIXES, EMPTY_CONFIG_TYPE } from './ociArtifacts'
+import { RegistryError, ERROR_KINDS, createResponseError, createNetworkError } from './registryErrors'
+
+// Parallel requests to the registry, can be overridden at build time
+const REQUEST_CONCURRENCY = parseInt(import.meta.env.VITE_REQUEST_CONCURRENCY) || 4
+const CATALOG_PAGE_SIZE = 100
+const TOKEN_DEFAULT_TTL = 60 // seconds, per the token auth spec when expires_in is missing
+const TOKEN_EXPIRY_MARGIN = 10 * 1000 // ms, refresh tokens slightly before they expire
 
 // Check if running in development mode (with proxy)
 const isDev = import.meta.env.DEV
 
 class RegistryApi {
   constructor() {
+    this.registryId = null    // id of the active saved registry
     this.credentials = null
-    this.requestQueue = []
-    this.isProcessing = false
+    this.scheduler = new RequestScheduler({ concurrency: REQUEST_CONCURRENCY })
+    this.tokens = new Map()        // scope -> { token, expiresAt }
+    this.pendingTokens = new Map() // scope -> in-flight token request
   }
 
-  // Initialize credentials from secure storage
-  async initCredentials() {
-    this.credentials = await credentialStore.load()
+  // Initialize a saved registry's credentials from secure storage
+  async initCredentials(registryId) {
+    this.registryId = registryId
+    this.clearTokens()
+    this.credentials = registryId ? await credentialStore.load(registryId) : null
     return this.credentials
   }
 
-  // Save credentials securely
-  async saveCredentials(registryUrl, username, password) {
+  // Save credentials securely for a saved registry
+  async saveCredentials(registryId, registryUrl, username, password) {
+    this.registryId = registryId
     this.credentials = { registryUrl, username, password }
-    const result = await credentialStore.save(registryUrl, username, password)
+    this.clearTokens()
+    const result = await credentialStore.save(registryId, registryUrl, username, password)
     return result
   }
 
-  // Clear credentials
+  // Clear the active registry's credentials
   async clearCredentials() {
+    const registryId = this.registryId
     this.credentials = null
-    await credentialStore.clear()
+    this.clearTokens()
+    if (registryId) {
+      await credentialStore.clear(registryId)
+    }
   }
 
   getCredentials() {
-    return this.credentials || credentialStore.getSync()
+    return this.credentials || (this.registryId ? credentialStore.getSync(this.registryId) : null)
   }
 
   isAuthenticated() {
@@ -61,35 +80,167 @@ class RegistryApi {
     return null
   }
 
-  // Throttled request processing to avoid API overload
-  async processQueue() {
-    if (this.isProcessing || this.requestQueue.length === 0) return
+  // Drop all cached bearer tokens (e.g. when credentials change)
+  clearTokens() {
+    this.tokens.clear()
+    this.pendingTokens.clear()
+  }
 
-    this.isProcessing = true
+  // Parse a WWW-Authenticate header, e.g.
+  // Bearer realm="https://auth.example.com/token",service="registry",scope="repository:foo:pull"
+  parseAuthChallenge(header) {
+    if (!header) return null
+    const match = header.match(/^\s*(\w+)(?:\s+(.*))?$/)
+    if (!match) return null
+
+    const params = {}
+    const paramRegex = /(\w+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^,\s]*))/g
+    let param
+    while ((param = paramRegex.exec(match[2] || '')) !== null) {
+      params[param[1].toLowerCase()] = param[2] !== undefined
+        ? param[2].replace(/\\(.)/g, '$1')
+        : param[3]
+    }
 
-    while (this.requestQueue.length > 0) {
-      const { resolve, reject, requestFn } = this.requestQueue.shift()
-      try {
-        const result = await requestFn()
-        resolve(result)
-      } catch (error) {
-        reject(error)
-      }
+    return { scheme: match[1].toLowerCase(), params }
+  }
 
-      if (this.requestQueue.length > 0) {
-        await new Promise(r => setTimeout(r, REQUEST_DELAY))
+  // Guess the token scope an endpoint needs, so cached tokens can be sent up front
+  getScopeForEndpoint(endpoint, method = 'GET') {
+    const path = endpoint.split('?')[0]
+    if (path.startsWith('/_catalog')) return 'registry:catalog:*'
+
+    const match = path.match(/^\/(.+?)\/(?:manifests|blobs|tags|referrers)\//)
+    if (!match) return null
+
+    const action = method === 'DELETE' ? 'delete' : 'pull'
+    return `repository:${decodeURIComponent(match[1])}:${action}`
+  }
+
+  // Get a cached, non-expired token for a scope
+  getCachedToken(scope) {
+    if (scope == null) return null
+    const entry = this.tokens.get(scope)
+    if (!entry) return null
+    if (Date.now() >= entry.expiresAt - TOKEN_EXPIRY_MARGIN) {
+      this.tokens.delete(scope)
+      return null
+    }
+    return entry.token
+  }
+
+  // Get a bearer token for a challenge, reusing cached or in-flight requests
+  async getToken(challenge) {
+    const scope = challenge.params.scope || ''
+    const cached = this.getCachedToken(scope)
+    if (cached) return cached
+
+    if (!this.pendingTokens.has(scope)) {
+      const pending = this.fetchToken(challenge)
+        .then(({ token, expiresIn }) => {
+          this.tokens.set(scope, { token, expiresAt: Date.now() + expiresIn * 1000 })
+          return token
+        })
+        .finally(() => this.pendingTokens.delete(scope))
+      this.pendingTokens.set(scope, pending)
+    }
+    return this.pendingTokens.get(scope)
+  }
+
+  // Request a token from the realm named in a Bearer challenge
+  async fetchToken(challenge) {
+    const { realm, service, scope } = challenge.params
+    if (!realm) {
+      throw new RegistryError('Authentication failed. Registry sent a Bearer challenge without a realm.', {
+        kind: ERROR_KINDS.AUTH,
+        status: 401,
+        hint: 'The registry is misconfigured: its WWW-Authenticate header must name the token server (realm).'
+      })
+    }
+
+    const query = new URLSearchParams()
+    if (service) query.set('service', service)
+    // Multiple scopes are space-separated in the challenge but sent as repeated params
+    scope?.split(' ').filter(Boolean).forEach(s => query.append('scope', s))
+
+    const headers = {}
+    const authHeader = this.getAuthHeader()
+    if (authHeader) {
+      headers['Authorization'] = authHeader
+    }
+
+    let url
+    if (isDev) {
+      // In development, route token requests through the Vite proxy as well
+      headers['X-Token-Realm'] = realm
+      url = `/registry-auth?${query}`
+    } else {
+      const realmUrl = new URL(realm)
+      query.forEach((value, key) => realmUrl.searchParams.append(key, value))
+      url = realmUrl.toString()
+    }
+
+    let response
+    try {
+      response = await fetch(url, {
+        headers,
+        mode: isDev ? 'same-origin' : 'cors'
+      })
+    } catch (e) {
+      throw createNetworkError(e, null, { proxied: isDev, target: `the token server (${realm})` })
+    }
+
+    if (!response.ok) {
+      const error = await createResponseError(response)
+      if (response.status === 401 || response.status === 403) {
+        error.kind = ERROR_KINDS.AUTH
+        error.message = 'Authentication failed. Check your credentials.'
+        error.hint = `The token server (${realm}) refused the credentials.`
+      } else {
+        error.message = `Token request failed: ${response.status} ${response.statusText}`.trim()
       }
+      throw error
+    }
+
+    const data = await response.json()
+    const token = data.token || data.access_token
+    if (!token) {
+      throw new RegistryError('Token request failed: no token in response', {
+        kind: ERROR_KINDS.AUTH,
+        status: response.status,
+        hint: 'The token server answered without a token or access_token field.'
+      })
     }
 
-    this.isProcessing = false
+    return { token, expiresIn: data.expires_in || TOKEN_DEFAULT_TTL }
   }
 
-  // Add request to throttled queue
-  enqueueRequest(requestFn) {
-    return new Promise((resolve, reject) => {
-      this.requestQueue.push({ resolve, reject, requestFn })
-      this.processQueue()
-    })
+  // Add request to the queue
+  // options: { priority, signal, key } - requests with the same key share one result
+  enqueueRequest(requestFn, options = {}) {
+    return this.scheduler.schedule(requestFn, options)
+  }
+
+  // Queue a GET/HEAD API request; identical requests in flight are only sent once
+  queueRequest(endpoint, requestOptions = {}, { priority, signal } = {}) {
+    const key = `${requestOptions.method || 'GET'} ${endpoint} ${requestOptions.headers?.Accept || ''}`
+    return this.enqueueRequest(
+      requestSignal => this.request(endpoint, { ...requestOptions, signal: requestSignal }),
+      { key, priority, signal }
+    )
+  }
+
+  setConcurrency(concurrency) {
+    this.scheduler.setConcurrency(concurrency)
+  }
+
+  // Retry-After is either seconds or an HTTP date; returns ms or null
+  parseRetryAfter(header) {
+    if (!header) return null
+    const seconds = Number(header)
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000)
+    const date = Date.parse(header)
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
   }
 
   // Build the full URL for API requests
@@ -110,8 +261,8 @@ class RegistryApi {
     }
   }
 
-  // Make API request
-  async request(endpoint, options = {}) {
+  // Send a request, answering Bearer challenges with a token and retrying once
+  async fetchWithAuth(endpoint, options = {}) {
     const creds = this.getCredentials()
     if (!creds?.registryUrl) {
       throw new Error('Registry URL not configured')
@@ -127,31 +278,144 @@ class RegistryApi {
       headers['X-Registry-URL'] = creds.registryUrl
     }
 
-    const authHeader = this.getAuthHeader()
+    const scope = this.getScopeForEndpoint(endpoint, options.method)
+    const cachedToken = this.getCachedToken(scope)
+    const authHeader = cachedToken ? `Bearer ${cachedToken}` : this.getAuthHeader()
     if (authHeader) {
       headers['Authorization'] = authHeader
     }
 
     const url = this.getApiUrl(endpoint)
+    const send = async () => {
+      try {
+        return await fetch(url, {
+          ...options,
+          headers,
+          // For production, we need CORS mode
+          mode: isDev ? 'same-origin' : 'cors'
+        })
+      } catch (e) {
+        if (e.name === 'AbortError') throw e
+        // fetch only says "Failed to fetch"; usually CORS, DNS or TLS
+        throw createNetworkError(e, endpoint, { proxied: isDev })
+      }
+    }
 
-    const response = await fetch(url, {
-      ...options,
-      headers,
-      // For production, we need CORS mode
-      mode: isDev ? 'same-origin' : 'cors'
-    })
+    let response = await send()
+
+    if (response.status === 401) {
+      const challenge = this.parseAuthChallenge(response.headers.get('www-authenticate'))
+      if (challenge?.scheme === 'bearer') {
+        // A cached token was rejected, so don't offer it again; the token cached
+        // for the challenge's scope may be the same one, so fetch a fresh one for it too
+        if (cachedToken) this.tokens.delete(scope)
+        this.tokens.delete(challenge.params.scope || '')
+
+        const token = await this.getToken(challenge)
+        // Also remember the token under the scope we guessed, so the next
+        // request to this endpoint can skip the challenge round-trip
+        if (scope && scope !== (challenge.params.scope || '')) {
+          this.tokens.set(scope, this.tokens.get(challenge.params.scope || ''))
+        }
 
-    if (!response.ok) {
-      if (response.status === 401) {
-        throw new Error('Authentication failed. Check your credentials.')
+        headers['Authorization'] = `Bearer ${token}`
+        response = await send()
       }
-      if (response.status === 404) {
-        throw new Error('Resource not found')
-      }
-      throw new Error(`Registry API error: ${response.status} ${response.statusText}`)
     }
 
-    // Handle response based on content type
+    return response
+  }
+
+  // Map a failed response to a RegistryError with a readable message and likely cause
+  async createResponseError(response, endpoint) {
+    const error = await createResponseError(response, endpoint)
+    if (error.status === 429) {
+      // The request queue retries these after backing off
+      error.retryAfter = this.parseRetryAfter(response.headers.get('retry-after'))
+    }
+    return error
+  }
+
+  // Make API request
+  async request(endpoint, options = {}) {
+    return (await this.requestContent(endpoint, options)).data
+  }
+
+  // Make API request, keeping the raw body for digest verification
+  // Returns { data, bytes, digest } where digest is the Docker-Content-Digest header
+  async requestContent(endpoint, options = {}) {
+    const response = await this.fetchWithAuth(endpoint, options)
+
+    if (!response.ok) {
+      throw await this.createResponseError(response, endpoint)
+    }
+
+    const { data, bytes } = await this.readResponse(response)
+    return { data, bytes, digest: response.headers.get('docker-content-digest') }
+  }
+
+  // Queue a manifest or blob request and hash the body against the requested
+  // digest (null when requested by tag) and the Docker-Content-Digest header
+  // Returns { data, verification }
+  queueVerifiedRequest(endpoint, expected, requestOptions = {}, { priority, signal } = {}) {
+    const key = `VERIFY ${endpoint} ${requestOptions.headers?.Accept || ''}`
+    return this.enqueueRequest(async (requestSignal) => {
+      const { data, bytes, digest } = await this.requestContent(endpoint, { ...requestOptions, signal: requestSignal })
+      const verification = await ContentTrust.verify(bytes, { expected, header: digest })
+      return { data, verification }
+    }, { key, priority, signal })
+  }
+
+  // Make a request for one page of a paginated list: { data, next }
+  // next is the endpoint of the following page from the Link header, or null
+  async requestPage(endpoint, options = {}) {
+    const response = await this.fetchWithAuth(endpoint, options)
+
+    if (!response.ok) {
+      throw await this.createResponseError(response, endpoint)
+    }
+
+    return {
+      data: await this.parseResponse(response),
+      next: this.parseNextLink(response.headers.get('link'))
+    }
+  }
+
+  // Queue a page request, like queueRequest
+  queuePageRequest(endpoint, { priority, signal } = {}) {
+    return this.enqueueRequest(
+      requestSignal => this.requestPage(endpoint, { signal: requestSignal }),
+      { key: `PAGE ${endpoint}`, priority, signal }
+    )
+  }
+
+  // Find rel="next" in an RFC 5988 Link header, e.g.
+  // </v2/_catalog?last=team%2Fapi&n=100>; rel="next"
+  // and turn it into an endpoint relative to /v2
+  parseNextLink(header) {
+    if (!header) return null
+
+    for (const part of header.split(',')) {
+      const match = part.match(/<([^>]*)>\s*;(.*)/)
+      if (!match || !/rel\s*=\s*"?next"?/i.test(match[2])) continue
+
+      const url = new URL(match[1], 'http://registry.invalid')
+      const path = url.pathname + url.search
+      const index = path.indexOf('/v2/')
+      return index >= 0 ? path.slice(index + 3) : null
+    }
+    return null
+  }
+
+  // Parse a response body based on content type
+  async parseResponse(response) {
+    return (await this.readResponse(response)).data
+  }
+
+  // Read a response body as raw bytes and parse it: { data, bytes }
+  async readResponse(response) {
+    const bytes = new Uint8Array(await response.arrayBuffer())
+    const text = new TextDecoder().decode(bytes)
     const contentType = response.headers.get('content-type') || ''
 
     // Check for JSON-like content types (including OCI types)
@@ -160,15 +424,14 @@ class RegistryApi {
                        contentType.includes('application/vnd.oci')
 
     if (isJsonType) {
-      return response.json()
+      return { data: JSON.parse(text), bytes }
     }
 
     // For other types (like octet-stream), try to parse as JSON, fallback to text
-    const text = await response.text()
     try {
-      return JSON.parse(text)
+      return { data: JSON.parse(text), bytes }
     } catch {
-      return text
+      return { data: text, bytes }
     }
   }
 
@@ -178,73 +441,184 @@ class RegistryApi {
       await this.request('/')
       return { success: true }
     } catch (error) {
-      return { success: false, error: error.message }
+      return { success: false, error: error.message, cause: error }
+    }
+  }
+
+  // Follow a paginated list through its Link headers, collecting items[key]
+  // Pages are reported through onPage(items, allSoFar) as they arrive. If a later
+  // page fails, the error carries what was loaded so far as error.partial.
+  // fallbackNext(items) gives the next endpoint for registries that send no Link header.
+  async getAllPages(endpoint, key, { priority, signal, onPage, fallbackNext } = {}) {
+    const items = []
+    const seen = new Set()
+    let next = endpoint
+
+    while (next && !seen.has(next)) {
+      seen.add(next)
+      let page
+      try {
+        page = await this.queuePageRequest(next, { priority, signal })
+      } catch (e) {
+        if (items.length && e.name !== 'AbortError') e.partial = items
+        throw e
+      }
+
+      const pageItems = page.data?.[key] || []
+      items.push(...pageItems)
+      onPage?.(pageItems, items)
+
+      next = page.next || (pageItems.length ? fallbackNext?.(pageItems) : null)
     }
+
+    return items
+  }
+
+  // Get all repositories, following the catalog's pagination
+  // options: { priority, signal, onPage(page, allSoFar) }
+  async getAllRepositories(options = {}) {
+    return this.getAllPages(`/_catalog?n=${CATALOG_PAGE_SIZE}`, 'repositories', {
+      ...options,
+      // Without a Link header, a full page means there may be more
+      fallbackNext: page => page.length === CATALOG_PAGE_SIZE
+        ? `/_catalog?n=${CATALOG_PAGE_SIZE}&last=${encodeURIComponent(page[page.length - 1])}`
+        : null
+    })
+  }
+
+  // Get tags for a repository, following pagination where the registry uses it
+  // options for queued requests: { priority, signal, onPage }
+  async getTags(repository, options = {}) {
+    const tags = await this.getAllPages(`/${encodeURIComponent(repository)}/tags/list`, 'tags', options)
+    return { name: repository, tags }
   }
 
-  // Get list of repositories (catalog)
-  async getCatalog(n = 100, last = '') {
-    let endpoint = `/_catalog?n=${n}`
-    if (last) {
-      endpoint += `&last=${encodeURIComponent(last)}`
+  // List manifests whose subject is a digest (OCI 1.1 referrers API)
+  // Returns their descriptors, or null when the registry has no referrers API
+  async getReferrers(repository, digest, options = {}) {
+    try {
+      return await this.getAllPages(`/${encodeURIComponent(repository)}/referrers/${digest}`, 'manifests', options)
+    } catch (e) {
+      // Registries with the API answer 200 with an empty index for unknown digests
+      if ([ERROR_KINDS.NOT_FOUND, ERROR_KINDS.UNSUPPORTED].includes(e.kind) || e.status === 400) return null
+      throw e
     }
-    return this.request(endpoint)
   }
 
-  // Get all repositories with pagination
-  async getAllRepositories() {
-    const repositories = []
-    let last = ''
-    const pageSize = 100
+  // Find signatures, attestations and SBOMs attached to a manifest digest:
+  // through the referrers API, otherwise through cosign's sha256-<hash>.sig/.att/.sbom tags
+  // options: { tags (the repository's tag list, if loaded), priority, signal }
+  // Returns { source: 'referrers'|'tags', referrers }
+  async getAttachedArtifacts(repository, digest, { tags = null, priority, signal } = {}) {
+    const descriptors = await this.getReferrers(repository, digest, { priority, signal })
+    if (descriptors) {
+      return {
+        source: 'referrers',
+        referrers: descriptors.map(d => OciArtifacts.toReferrer(d, { source: 'referrers' }))
+      }
+    }
 
-    do {
-      const result = await this.enqueueRequest(() =>
-        this.getCatalog(pageSize, last)
-      )
+    const tagList = tags || (await this.getTags(repository, { priority, signal })).tags
+    const attached = Object.keys(COSIGN_SUFFIXES)
+      .map(suffix => ({ suffix, tag: OciArtifacts.getCosignTag(digest, suffix) }))
+      .filter(({ tag }) => tagList.includes(tag))
 
-      if (result.repositories?.length) {
-        repositories.push(...result.repositories)
-        last = result.repositories.length === pageSize
-          ? result.repositories[result.repositories.length - 1]
-          : ''
-      } else {
-        last = ''
+    const referrers = await Promise.all(attached.map(async ({ suffix, tag }) => {
+      const extra = { tag, category: COSIGN_SUFFIXES[suffix], source: 'tags' }
+      try {
+        const { data: manifest } = await this.getVerifiedManifest(repository, tag, { priority, signal })
+        // Cosign adds one layer per signature or attestation to the same tag
+        return OciArtifacts.toReferrer({
+          digest: null,
+          mediaType: manifest.mediaType,
+          size: this.getManifestSize(manifest),
+          artifactType: OciArtifacts.getArtifactType(manifest) || manifest.layers?.[0]?.mediaType,
+          annotations: manifest.annotations
+        }, { ...extra, count: manifest.layers?.length || 0 })
+      } catch (e) {
+        if (e.name === 'AbortError') throw e
+        console.warn(`Could not load ${repository}:${tag}:`, e)
+        return OciArtifacts.toReferrer({ digest: null }, { ...extra, label: tag, error: e.message })
       }
-    } while (last)
+    }))
 
-    return repositories
+    return { source: 'tags', referrers }
   }
 
-  // Get tags for a repository
-  async getTags(repository) {
-    return this.enqueueRequest(() =>
-      this.request(`/${encodeURIComponent(repository)}/tags/list`)
-    )
+  // Tags can't contain ':', digests always do
+  isDigest(reference) {
+    return reference.includes(':')
   }
 
-  // Get manifest for a specific tag (lazy loaded)
-  async getManifest(repository, tag) {
-    return this.enqueueRequest(() =>
-      this.request(`/${encodeURIComponent(repository)}/manifests/${encodeURIComponent(tag)}`)
-    )
+  // Content addressed by digest never changes, so it's served from the content cache when possible
+  // fetchContent resolves to { data, verification }, and so does this
+  async getContentByDigest(digest, kind, fetchContent) {
+    const cached = await imageCache.getContentEntry(digest)
+    // Content cached before it could be verified is fetched again once it can be
+    if (cached && (cached.verified || !ContentTrust.isAvailable())) {
+      return { data: cached.data, verification: ContentTrust.fromCache(digest, cached.verified) }
+    }
+
+    const { data, verification } = await fetchContent()
+    // Content that doesn't match its digest is never cached
+    if (data && typeof data === 'object' && verification.status !== VERIFY_STATUS.MISMATCH) {
+      imageCache.saveContent(digest, kind, data, { verified: verification.status === VERIFY_STATUS.VERIFIED })
+    }
+    return { data, verification }
+  }
+
+  // Get manifest for a tag or digest (lazy loaded)
+  async getManifest(repository, reference, options = {}) {
+    return (await this.getVerifiedManifest(repository, reference, options)).data
+  }
+
+  // Get manifest for a tag or digest with its digest check: { data, verification }
+  async getVerifiedManifest(repository, reference, options = {}) {
+    const endpoint = `/${encodeURIComponent(repository)}/manifests/${encodeURIComponent(reference)}`
+    if (this.isDigest(reference)) {
+      return this.getContentByDigest(reference, 'manifest', () =>
+        this.queueVerifiedRequest(endpoint, reference, {}, options)
+      )
+    }
+    // By tag, only the Docker-Content-Digest header can be checked
+    return this.queueVerifiedRequest(endpoint, null, {}, options)
   }
 
   // Get blob (layer) info - HEAD request
-  async getBlobHead(repository, digest) {
-    return this.enqueueRequest(() =>
-      this.request(`/${encodeURIComponent(repository)}/blobs/${digest}`, {
-        method: 'HEAD'
-      })
+  async getBlobHead(repository, digest, options = {}) {
+    return this.queueRequest(
+      `/${encodeURIComponent(repository)}/blobs/${digest}`,
+      { method: 'HEAD' },
+      options
     )
   }
 
   // Get blob content (for config blob with image metadata)
-  async getBlob(repository, digest) {
-    return this.enqueueRequest(() =>
-      this.request(`/${encodeURIComponent(repository)}/blobs/${digest}`)
+  async getBlob(repository, digest, options = {}) {
+    return (await this.getVerifiedBlob(repository, digest, options)).data
+  }
+
+  // Get blob content with its digest check: { data, verification }
+  async getVerifiedBlob(repository, digest, options = {}) {
+    return this.getContentByDigest(digest, 'blob', () =>
+      this.queueVerifiedRequest(`/${encodeURIComponent(repository)}/blobs/${digest}`, digest, {}, options)
     )
   }
 
+  // Get blob content as a stream (for large binary blobs such as layers)
+  // Resolves once headers arrive; the body keeps streaming outside the queue,
+  // so the caller's signal is passed to fetch to cancel it later
+  async getBlobStream(repository, digest, { priority, signal } = {}) {
+    return this.enqueueRequest(async (requestSignal) => {
+      const endpoint = `/${encodeURIComponent(repository)}/blobs/${digest}`
+      const response = await this.fetchWithAuth(endpoint, { signal: signal || requestSignal })
+      if (!response.ok) {
+        throw await this.createResponseError(response, endpoint)
+      }
+      return response
+    }, { priority, signal })
+  }
+
   // Check if manifest is a manifest list (multi-platform)
   isManifestList(manifest) {
     const listMediaTypes = [
@@ -255,13 +629,80 @@ class RegistryApi {
            (manifest.manifests && !manifest.layers)
   }
 
+  // Compressed image size: all layers plus the config blob
+  getManifestSize(manifest) {
+    let totalSize = 0
+    if (manifest.layers) {
+      totalSize = manifest.layers.reduce((sum, layer) => sum + (layer.size || 0), 0)
+    }
+    if (manifest.config?.size) {
+      totalSize += manifest.config.size
+    }
+    return totalSize
+  }
+
+  // Get a single platform's manifest from a manifest list by digest
+  async getPlatformManifest(repository, digest, options = {}) {
+    return (await this.getVerifiedPlatformManifest(repository, digest, options)).data
+  }
+
+  // Get a platform manifest with its digest check: { data, verification }
+  async getVerifiedPlatformManifest(repository, digest, options = {}) {
+    return this.getContentByDigest(digest, 'manifest', () =>
+      this.queueVerifiedRequest(`/${encodeURIComponent(repository)}/manifests/${digest}`, digest, {
+        headers: {
+          'Accept': 'application/vnd.docker.distribution.manifest.v2+json, application/vnd.oci.image.manifest.v1+json'
+        }
+      }, options)
+    )
+  }
+
+  // Get image info for one platform of a manifest list (own manifest, config and real size)
+  async getPlatformImageInfo(repository, digest, options = {}) {
+    const { data: manifest, verification } = await this.getVerifiedPlatformManifest(repository, digest, options)
+
+    let config = null
+    let configVerification = null
+    if (manifest.config?.digest) {
+      try {
+        const blob = await this.getVerifiedBlob(repository, manifest.config.digest, options)
+        config = blob.data
+        configVerification = blob.verification
+      } catch (e) {
+        if (e.name === 'AbortError') throw e
+        console.warn('Could not fetch platform config blob:', e)
+      }
+    }
+
+    return {
+      digest,
+      manifest,
+      config,
+      verification: ContentTrust.summarize([
+        { label: 'Manifest', ...verification },
+        configVerification && { label: 'Config', ...configVerification }
+      ]),
+      totalSize: this.getManifestSize(manifest),
+      created: config?.created || null,
+      architecture: config?.architecture || null,
+      os: config?.os || null,
+      variant: config?.variant || null,
+      author: config?.author || null,
+      dockerVersion: config?.docker_version || null
+    }
+  }
+
   // Get full image info including config (for creation date, etc.)
-  async getImageInfo(repository, tag) {
-    const manifest = await this.getManifest(repository, tag)
+  // reference is a tag or, preferably, the manifest digest so cached content can be used
+  async getImageInfo(repository, reference, options = {}) {
+    const { data: manifest, verification } = await this.getVerifiedManifest(repository, reference, options)
+    const digest = this.isDigest(reference) ? reference : null
 
     // Handle manifest list (multi-platform images)
     if (this.isManifestList(manifest)) {
       // Extract platforms from manifest list
+      // The descriptor size is the size of the platform manifest itself, not the image;
+      // the real image size is only known once the platform manifest is loaded
       const platforms = manifest.manifests
         ?.filter(m => m.platform)
         .map(m => ({
@@ -269,73 +710,74 @@ class RegistryApi {
           architecture: m.platform.architecture,
           variant: m.platform.variant || null,
           digest: m.digest,
-          size: m.size
+          manifestSize: m.size
         })) || []
 
-      // Calculate total size from all platform manifests
-      const totalSize = manifest.manifests?.reduce((sum, m) => sum + (m.size || 0), 0) || 0
-
-      // Try to fetch details from the first platform manifest for metadata
-      let config = null
-      let firstManifestInfo = null
-      if (platforms.length > 0) {
+      // Fetch details from the first real platform for metadata
+      // (skip attestation manifests, which are listed as unknown/unknown)
+      const firstPlatform = platforms.find(p => p.os !== 'unknown') || platforms[0]
+      let firstPlatformInfo = null
+      if (firstPlatform) {
         try {
-          // Fetch the first platform's manifest for config
-          const firstDigest = platforms[0].digest
-          const platformManifest = await this.enqueueRequest(() =>
-            this.request(`/${encodeURIComponent(repository)}/manifests/${firstDigest}`, {
-              headers: {
-                'Accept': 'application/vnd.docker.distribution.manifest.v2+json, application/vnd.oci.image.manifest.v1+json'
-              }
-            })
-          )
-
-          if (platformManifest.config?.digest) {
-            config = await this.getBlob(repository, platformManifest.config.digest)
-          }
-          firstManifestInfo = platformManifest
+          firstPlatformInfo = await this.getPlatformImageInfo(repository, firstPlatform.digest, options)
         } catch (e) {
+          if (e.name === 'AbortError') throw e
           console.warn('Could not fetch first platform manifest:', e)
         }
       }
 
+      const config = firstPlatformInfo?.config || null
+      const platformName = firstPlatform ? [firstPlatform.os, firstPlatform.architecture, firstPlatform.variant].filter(Boolean).join('/') : ''
+
       return {
+        digest,
         manifest,
         config,
-        totalSize,
+        verification: ContentTrust.summarize([
+          { label: 'Manifest list', ...verification },
+          ...(firstPlatformInfo?.verification.checks || []).map(check => ({
+            ...check,
+            label: `${platformName} ${check.label.toLowerCase()}`
+          }))
+        ]),
+        // Size of the first platform's image; each platform's size is loaded on demand
+        totalSize: firstPlatformInfo?.totalSize || 0,
         platforms,
         isMultiPlatform: true,
         created: config?.created || null,
-        architecture: platforms[0]?.architecture || config?.architecture || null,
-        os: platforms[0]?.os || config?.os || null,
+        architecture: firstPlatform?.architecture || config?.architecture || null,
+        os: firstPlatform?.os || config?.os || null,
         author: config?.author || null,
         dockerVersion: config?.docker_version || null,
-        firstManifest: firstManifestInfo
+        artifactType: manifest.artifactType || null,
+        subject: manifest.subject || null,
+        firstManifest: firstPlatformInfo?.manifest || null,
+        firstPlatformDigest: firstPlatformInfo ? firstPlatform.digest : null
       }
     }
 
-    // Single platform manifest
-    let totalSize = 0
-    if (manifest.layers) {
-      totalSize = manifest.layers.reduce((sum, layer) => sum + (layer.size || 0), 0)
-    }
-    if (manifest.config?.size) {
-      totalSize += manifest.config.size
-    }
+    // Single platform manifest, or an OCI artifact (Helm chart, signature, SBOM, ...)
+    const totalSize = this.getManifestSize(manifest)
+    const artifactType = OciArtifacts.getArtifactType(manifest)
+    const isImage = OciArtifacts.isImageConfigType(manifest.config?.mediaType)
 
     // Fetch config blob to get creation date and other metadata
     let config = null
-    if (manifest.config?.digest) {
+    let configVerification = null
+    if (manifest.config?.digest && manifest.config.mediaType !== EMPTY_CONFIG_TYPE) {
       try {
-        config = await this.getBlob(repository, manifest.config.digest)
+        const blob = await this.getVerifiedBlob(repository, manifest.config.digest, options)
+        config = blob.data
+        configVerification = blob.verification
       } catch (e) {
+        if (e.name === 'AbortError') throw e
         console.warn('Could not fetch config blob:', e)
       }
     }
 
     // Extract platform from config - handle different config structures
     let platforms = []
-    if (config) {
+    if (config && isImage) {
       // Check if config has a nested platform object (some registries)
       const platformData = config.platform || config
       platforms = [{
@@ -346,24 +788,67 @@ class RegistryApi {
     }
 
     return {
+      digest,
       manifest,
       config,
+      verification: ContentTrust.summarize([
+        { label: 'Manifest', ...verification },
+        configVerification && { label: 'Config', ...configVerification }
+      ]),
       totalSize,
       platforms,
       isMultiPlatform: false,
-      created: config?.created || null,
-      architecture: config?.architecture || null,
-      os: config?.os || null,
+      isArtifact: !!artifactType,
+      artifactType,
+      subject: manifest.subject || null,
+      files: artifactType ? OciArtifacts.getFiles(manifest) : [],
+      created: config?.created || manifest.annotations?.['org.opencontainers.image.created'] || null,
+      architecture: isImage ? config?.architecture || null : null,
+      os: isImage ? config?.os || null : null,
       author: config?.author || null,
       dockerVersion: config?.docker_version || null
     }
   }
 
-  // Delete a manifest (tag)
+  // Resolve a tag to its manifest digest via HEAD and the Docker-Content-Digest header
+  async getManifestDigest(repository, tag, { priority, signal } = {}) {
+    const endpoint = `/${encodeURIComponent(repository)}/manifests/${encodeURIComponent(tag)}`
+    return this.enqueueRequest(async (requestSignal) => {
+      const response = await this.fetchWithAuth(endpoint, { method: 'HEAD', signal: requestSignal })
+
+      if (!response.ok) {
+        throw await this.createResponseError(response, endpoint)
+      }
+
+      const digest = response.headers.get('docker-content-digest')
+      if (!digest) {
+        throw new RegistryError('Registry did not return a Docker-Content-Digest header', {
+          endpoint,
+          status: response.status,
+          hint: 'Add Docker-Content-Digest to Access-Control-Expose-Headers so the browser can read it.'
+        })
+      }
+      return digest
+    }, { key: `DIGEST ${endpoint}`, priority, signal })
+  }
+
+  // Delete a manifest by digest (removes every tag pointing at it)
   async deleteManifest(repository, digest) {
-    return this.request(`/${encodeURIComponent(repository)}/manifests/${digest}`, {
-      method: 'DELETE'
-    })
+    const endpoint = `/${encodeURIComponent(repository)}/manifests/${digest}`
+    const response = await this.fetchWithAuth(endpoint, { method: 'DELETE' })
+
+    if (!response.ok) {
+      const error = await this.createResponseError(response, endpoint)
+      if (error.kind === ERROR_KINDS.FORBIDDEN) {
+        error.message = 'You do not have permission to delete images in this repository.'
+      } else if (error.kind === ERROR_KINDS.UNSUPPORTED) {
+        error.message = 'Deletion is disabled on this registry.'
+        error.hint = 'Enable it with REGISTRY_STORAGE_DELETE_ENABLED=true (or storage.delete.enabled in config.yml).'
+      }
+      throw error
+    }
+
+    return { success: true }
   }
 }
 
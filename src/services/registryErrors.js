@@ -0,0 +1,135 @@
+/**
+ * Registry Errors
+ * Typed errors for registry requests: HTTP status, the registry's errors[]
+ * body (code/message/detail, per the distribution spec), the endpoint and
+ * a likely cause with what to do about it.
+ */
+
+export const ERROR_KINDS = {
+  NETWORK: 'network',           // no response the browser can read (CORS, DNS, TLS, offline)
+  AUTH: 'auth',                 // 401, or the token server refused
+  FORBIDDEN: 'forbidden',       // 403
+  NOT_FOUND: 'not-found',       // 404
+  UNSUPPORTED: 'unsupported',   // 405, e.g. deletion disabled
+  RATE_LIMITED: 'rate-limited', // 429
+  SERVER: 'server',             // 5xx
+  HTTP: 'http'                  // anything else
+}
+
+// Readable messages for distribution spec error codes
+const CODE_MESSAGES = {
+  NAME_UNKNOWN: 'Repository not found',
+  MANIFEST_UNKNOWN: 'Tag or manifest not found',
+  BLOB_UNKNOWN: 'Blob not found',
+  DENIED: 'Access denied',
+  UNAUTHORIZED: 'Authentication failed. Check your credentials.',
+  UNSUPPORTED: 'Operation not supported by this registry',
+  TOOMANYREQUESTS: 'Too many requests. The registry is rate limiting this client.'
+}
+
+export class RegistryError extends Error {
+  constructor(message, { kind = ERROR_KINDS.HTTP, status = null, endpoint = null, errors = [], hint = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined)
+    this.name = 'RegistryError'
+    this.kind = kind
+    this.status = status
+    this.endpoint = endpoint
+    this.errors = errors  // [{ code, message, detail }]
+    this.hint = hint
+  }
+}
+
+// Read the distribution spec error body, if there is one: { errors: [{ code, message, detail }] }
+export async function parseErrorBody(response) {
+  try {
+    const text = await response.text()
+    if (!text) return []
+    const body = JSON.parse(text)
+    return Array.isArray(body?.errors)
+      ? body.errors.map(e => ({ code: e.code || null, message: e.message || '', detail: e.detail ?? null }))
+      : []
+  } catch {
+    return []
+  }
+}
+
+function getKind(status) {
+  if (status === 401) return ERROR_KINDS.AUTH
+  if (status === 403) return ERROR_KINDS.FORBIDDEN
+  if (status === 404) return ERROR_KINDS.NOT_FOUND
+  if (status === 405) return ERROR_KINDS.UNSUPPORTED
+  if (status === 429) return ERROR_KINDS.RATE_LIMITED
+  if (status >= 500) return ERROR_KINDS.SERVER
+  return ERROR_KINDS.HTTP
+}
+
+function getHint(kind, endpoint) {
+  switch (kind) {
+    case ERROR_KINDS.AUTH:
+      return 'The registry rejected the request as unauthenticated. Check the username and password; with token auth, the token server may have refused them.'
+    case ERROR_KINDS.FORBIDDEN:
+      return 'The credentials were accepted but this account is not allowed to do this. Check its permissions on the registry.'
+    case ERROR_KINDS.NOT_FOUND:
+      return endpoint === '/'
+        ? 'There is no registry API at this URL. Check the URL points at the registry itself (it must answer on /v2/).'
+        : 'It may have been deleted, or the name is misspelled.'
+    case ERROR_KINDS.UNSUPPORTED:
+      return 'The registry does not allow this operation. Deleting requires REGISTRY_STORAGE_DELETE_ENABLED=true.'
+    case ERROR_KINDS.RATE_LIMITED:
+      return 'Requests are retried automatically after a pause. Lower VITE_REQUEST_CONCURRENCY if this keeps happening.'
+    case ERROR_KINDS.SERVER:
+      return 'The registry failed to handle the request. Its logs should say why; retrying later may help.'
+    default:
+      return null
+  }
+}
+
+/**
+ * Build a RegistryError from a failed response
+ */
+export async function createResponseError(response, endpoint = null) {
+  const { status } = response
+  const kind = getKind(status)
+  // HEAD responses have no body
+  const errors = await parseErrorBody(response)
+  const first = errors[0]
+
+  let message
+  if (kind === ERROR_KINDS.AUTH) {
+    message = CODE_MESSAGES.UNAUTHORIZED
+  } else if (kind === ERROR_KINDS.RATE_LIMITED) {
+    message = CODE_MESSAGES.TOOMANYREQUESTS
+  } else if (first?.code && CODE_MESSAGES[first.code]) {
+    message = CODE_MESSAGES[first.code]
+  } else if (kind === ERROR_KINDS.NOT_FOUND) {
+    message = 'Resource not found'
+  } else if (kind === ERROR_KINDS.FORBIDDEN) {
+    message = CODE_MESSAGES.DENIED
+  } else if (kind === ERROR_KINDS.SERVER) {
+    message = `Registry server error: ${status} ${response.statusText}`.trim()
+  } else {
+    message = `Registry API error: ${status} ${response.statusText}`.trim()
+  }
+  // The registry's own message often says more, e.g. "manifest unknown"
+  if (first?.message && !message.toLowerCase().includes(first.message.toLowerCase())) {
+    message += ` (${first.message})`
+  }
+
+  return new RegistryError(message, { kind, status, endpoint, errors, hint: getHint(kind, endpoint) })
+}
+
+/**
+ * Wrap the opaque TypeError fetch throws when there is no readable response
+ * proxied: requests go through the dev server, so CORS isn't the cause
+ */
+export function createNetworkError(error, endpoint = null, { proxied = false, target = 'the registry' } = {}) {
+  const hint = proxied
+    ? `The dev server proxy could not reach ${target}. Check the URL and that it is running.`
+    : `The browser blocked the request or got no response. Most often ${target} does not allow this site through CORS (Access-Control-Allow-Origin), or the URL, DNS or TLS certificate is wrong. Run the connection diagnostics to find out which.`
+  return new RegistryError(`Could not reach ${target}`, {
+    kind: ERROR_KINDS.NETWORK,
+    endpoint,
+    hint,
+    cause: error
+  })
+}
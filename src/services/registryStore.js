@@ -0,0 +1,124 @@
+/**
+ * Saved Registries Service
+ *
+ * Keeps the list of registries the user has connected to, so they can
+ * switch between them. Only non-sensitive data (name, URL, username) is
+ * stored here, in localStorage; passwords stay in credentialStore.
+ */
+
+const REGISTRIES_KEY = 'registry-lens-registries'
+const ACTIVE_KEY = 'registry-lens-active-registry'
+
+class RegistryStore {
+  /**
+   * Get all saved registries
+   */
+  list() {
+    try {
+      const stored = localStorage.getItem(REGISTRIES_KEY)
+      return stored ? JSON.parse(stored) : []
+    } catch (e) {
+      console.warn('Failed to load saved registries:', e)
+      return []
+    }
+  }
+
+  /**
+   * Persist the registry list
+   */
+  saveList(registries) {
+    try {
+      localStorage.setItem(REGISTRIES_KEY, JSON.stringify(registries))
+    } catch (e) {
+      console.warn('Failed to save registries:', e)
+    }
+  }
+
+  /**
+   * Get a registry by id
+   */
+  get(id) {
+    return this.list().find(r => r.id === id) || null
+  }
+
+  /**
+   * Find a saved registry by URL and username
+   */
+  find(registryUrl, username) {
+    const url = this.normalizeUrl(registryUrl)
+    return this.list().find(r =>
+      this.normalizeUrl(r.registryUrl) === url && (r.username || '') === (username || '')
+    ) || null
+  }
+
+  /**
+   * Add a registry, returns the new entry
+   */
+  add({ name, registryUrl, username }) {
+    const entry = {
+      id: this.generateId(),
+      name: name || this.getDefaultName(registryUrl),
+      registryUrl,
+      username: username || ''
+    }
+    this.saveList([...this.list(), entry])
+    return entry
+  }
+
+  /**
+   * Update a registry (e.g. rename)
+   */
+  update(id, changes) {
+    const registries = this.list().map(r => (r.id === id ? { ...r, ...changes, id } : r))
+    this.saveList(registries)
+    return registries.find(r => r.id === id) || null
+  }
+
+  /**
+   * Remove a registry
+   */
+  remove(id) {
+    this.saveList(this.list().filter(r => r.id !== id))
+    if (this.getActiveId() === id) {
+      localStorage.removeItem(ACTIVE_KEY)
+    }
+  }
+
+  /**
+   * Get the last used registry id
+   */
+  getActiveId() {
+    return localStorage.getItem(ACTIVE_KEY)
+  }
+
+  /**
+   * Remember the last used registry
+   */
+  setActiveId(id) {
+    if (id) {
+      localStorage.setItem(ACTIVE_KEY, id)
+    } else {
+      localStorage.removeItem(ACTIVE_KEY)
+    }
+  }
+
+  normalizeUrl(registryUrl) {
+    return (registryUrl || '').trim().replace(/\/+$/, '').toLowerCase()
+  }
+
+  getDefaultName(registryUrl) {
+    try {
+      return new URL(registryUrl).host
+    } catch {
+      return registryUrl.replace(/^https?:\/\//, '').split('/')[0]
+    }
+  }
+
+  generateId() {
+    if (crypto.randomUUID) return crypto.randomUUID()
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+  }
+}
+
+export const registryStore = new RegistryStore()
+export default registryStore
@@ -0,0 +1,266 @@
+/**
+ * Report Export Service
+ * Turns what the browser has loaded (repositories, tags, image infos) into
+ * reports that can be saved as JSON, CSV or a Markdown summary for release
+ * notes and audit tickets.
+ *
+ * Reports are built in two steps: build* collects plain data, then
+ * render() writes it in the chosen format. Sizes are in bytes in JSON and
+ * CSV, and human-readable in Markdown.
+ */
+
+import { formatSize } from '../utils/format'
+import { toCsv } from '../utils/csv'
+
+export const EXPORT_FORMATS = {
+  JSON: 'json',
+  CSV: 'csv',
+  MARKDOWN: 'markdown'
+}
+
+const FORMAT_FILES = {
+  [EXPORT_FORMATS.JSON]: { extension: 'json', mimeType: 'application/json' },
+  [EXPORT_FORMATS.CSV]: { extension: 'csv', mimeType: 'text/csv' },
+  [EXPORT_FORMATS.MARKDOWN]: { extension: 'md', mimeType: 'text/markdown' }
+}
+
+// Columns of each report kind's table: key, CSV header, Markdown header (none to leave it out), Markdown formatter
+const COLUMNS = {
+  repositories: [
+    { key: 'repository', csv: 'repository', md: 'Repository', format: value => `\`${value}\`` },
+    { key: 'tags', csv: 'tags', md: 'Tags', format: value => (value == null ? 'not loaded' : value) },
+    { key: 'tagsComplete', csv: 'tags_complete' }
+  ],
+  repository: [
+    { key: 'tag', csv: 'tag', md: 'Tag', format: value => `\`${value}\`` },
+    { key: 'digest', csv: 'digest', md: 'Digest', format: value => (value ? `\`${value}\`` : '') },
+    { key: 'size', csv: 'size', md: 'Size', format: value => (value == null ? '' : formatSize(value)) },
+    { key: 'created', csv: 'created', md: 'Created', format: value => formatDay(value) },
+    { key: 'platforms', csv: 'platforms', md: 'Platforms', format: value => value.join(', ') }
+  ],
+  image: [
+    { key: 'platform', csv: 'platform', md: 'Platform' },
+    { key: 'index', csv: 'index', md: '#' },
+    { key: 'digest', csv: 'digest', md: 'Digest', format: value => `\`${value}\`` },
+    { key: 'size', csv: 'size', md: 'Size', format: value => formatSize(value) },
+    { key: 'mediaType', csv: 'media_type', md: 'Media type' }
+  ]
+}
+
+function formatDay(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : ''
+}
+
+function formatPlatform(platform) {
+  return [platform.os, platform.architecture, platform.variant].filter(Boolean).join('/')
+}
+
+// Platforms of an image; attestation manifests are listed as unknown/unknown
+function getPlatforms(imageInfo) {
+  return (imageInfo?.platforms || []).filter(p => p.os && p.os !== 'unknown').map(formatPlatform)
+}
+
+class ReportExport {
+  /**
+   * Repositories with their tag counts
+   * A tag list that failed to load, even partly, is exported as null with tagsComplete false
+   * @param {{ registry: string, repositories: string[], tags: Object, incompleteTags: Object }} data
+   *   tags: repository -> tag list, incompleteTags: repository -> true when its list failed to load
+   */
+  static buildRepositoryList({ registry, repositories, tags, incompleteTags = {} }) {
+    return {
+      kind: 'repositories',
+      registry,
+      generatedAt: new Date().toISOString(),
+      rows: repositories.map(repository => {
+        const complete = Boolean(tags[repository]) && !incompleteTags[repository]
+        return { repository, tags: complete ? tags[repository].length : null, tagsComplete: complete }
+      })
+    }
+  }
+
+  /**
+   * Every tag of a repository with digest, size, creation date and platforms
+   * Multi-platform sizes are those of the first platform, as shown in the browser
+   * @param {{ registry, repository, tags: string[], imageInfos: Object }} data - imageInfos: "repo:tag" -> image info
+   */
+  static buildRepository({ registry, repository, tags, imageInfos }) {
+    return {
+      kind: 'repository',
+      registry,
+      repository,
+      generatedAt: new Date().toISOString(),
+      rows: tags.map(tag => {
+        const info = imageInfos[`${repository}:${tag}`]
+        return {
+          tag,
+          digest: info?.digest || null,
+          size: info ? info.totalSize : null,
+          created: info?.created || null,
+          platforms: getPlatforms(info),
+          artifactType: info?.artifactType || null
+        }
+      })
+    }
+  }
+
+  /**
+   * Full metadata of one image plus the layers of each platform
+   * @param {{ registry, repository, tag, imageInfo, platformInfos: Object }} data - platformInfos: digest -> platform image info
+   */
+  static buildImage({ registry, repository, tag, imageInfo, platformInfos = {} }) {
+    const config = imageInfo.config?.config || {}
+    const images = imageInfo.isMultiPlatform
+      ? imageInfo.platforms
+        .filter(p => p.os !== 'unknown')
+        .map(p => ({ platform: formatPlatform(p), digest: p.digest, info: platformInfos[p.digest] || null }))
+      : [{ platform: getPlatforms(imageInfo)[0] || '', digest: imageInfo.digest, info: imageInfo }]
+
+    const platforms = images.map(({ platform, digest, info }) => ({
+      platform,
+      digest,
+      size: info ? info.totalSize : null,
+      created: info?.created || null,
+      layers: (info?.manifest?.layers || []).map((layer, index) => ({
+        index: index + 1,
+        digest: layer.digest,
+        size: layer.size,
+        mediaType: layer.mediaType
+      }))
+    }))
+
+    return {
+      kind: 'image',
+      registry,
+      reference: `${repository}:${tag}`,
+      repository,
+      tag,
+      generatedAt: new Date().toISOString(),
+      image: {
+        digest: imageInfo.digest || null,
+        mediaType: imageInfo.manifest?.mediaType || null,
+        artifactType: imageInfo.artifactType || null,
+        created: imageInfo.created || null,
+        size: imageInfo.totalSize,
+        author: imageInfo.author || null,
+        dockerVersion: imageInfo.dockerVersion || null,
+        verification: imageInfo.verification?.status || null,
+        entrypoint: config.Entrypoint || null,
+        cmd: config.Cmd || null,
+        workingDir: config.WorkingDir || null,
+        user: config.User || null,
+        exposedPorts: Object.keys(config.ExposedPorts || {}),
+        labels: config.Labels || {},
+        annotations: imageInfo.manifest?.annotations || {}
+      },
+      platforms,
+      rows: platforms.flatMap(p => p.layers.map(layer => ({ platform: p.platform, ...layer })))
+    }
+  }
+
+  /**
+   * Write a report in a format
+   * @returns {{ content: string, mimeType: string, extension: string }}
+   */
+  static render(report, format) {
+    const file = FORMAT_FILES[format]
+    if (!file) throw new Error(`Unknown export format: ${format}`)
+    let content
+    if (format === EXPORT_FORMATS.CSV) {
+      content = this.toCsv(COLUMNS[report.kind], report.rows)
+    } else if (format === EXPORT_FORMATS.MARKDOWN) {
+      content = this.toMarkdown(report)
+    } else if (report.kind === 'image') {
+      // The image report's rows repeat its platforms' layers
+      content = JSON.stringify({ ...report, rows: undefined }, null, 2)
+    } else {
+      content = JSON.stringify(report, null, 2)
+    }
+    return { content, ...file }
+  }
+
+  static toCsv(columns, rows) {
+    const field = value => (Array.isArray(value) ? value.join(' ') : value)
+    return toCsv([columns.map(c => c.csv), ...rows.map(row => columns.map(c => field(row[c.key])))])
+  }
+
+  static toMarkdownTable(columns, rows) {
+    columns = columns.filter(c => c.md)
+    const escape = text => String(text ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ')
+    const cell = (column, row) => {
+      const value = row[column.key]
+      if (column.format) return escape(column.format(value))
+      return value == null ? '' : escape(value)
+    }
+    return [
+      `| ${columns.map(c => c.md).join(' | ')} |`,
+      `| ${columns.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${columns.map(c => cell(c, row)).join(' | ')} |`)
+    ].join('\n')
+  }
+
+  static toMarkdown(report) {
+    const lines = []
+    const footer = `_Generated by Registry Lens on ${formatDay(report.generatedAt)} from ${report.registry}_`
+
+    if (report.kind === 'repositories') {
+      const tagged = report.rows.filter(row => row.tagsComplete)
+      const missing = report.rows.length - tagged.length
+      lines.push(
+        `# Repositories in ${report.registry}`,
+        '',
+        `- **Repositories:** ${report.rows.length}`,
+        `- **Tags:** ${tagged.reduce((sum, row) => sum + row.tags, 0)}` +
+          (missing ? ` (tags of ${missing} ${missing === 1 ? 'repository' : 'repositories'} could not be loaded)` : ''),
+        '',
+        this.toMarkdownTable(COLUMNS.repositories, report.rows)
+      )
+    } else if (report.kind === 'repository') {
+      const newest = report.rows.map(row => row.created).filter(Boolean).sort().pop()
+      lines.push(
+        `# ${report.repository}`,
+        '',
+        `- **Registry:** ${report.registry}`,
+        `- **Tags:** ${report.rows.length}`
+      )
+      if (newest) lines.push(`- **Last pushed:** ${formatDay(newest)}`)
+      lines.push('', this.toMarkdownTable(COLUMNS.repository, report.rows))
+    } else {
+      const { image } = report
+      const details = [
+        ['Digest', image.digest && `\`${image.digest}\``],
+        ['Media type', image.mediaType && `\`${image.mediaType}\``],
+        ['Artifact type', image.artifactType && `\`${image.artifactType}\``],
+        ['Created', image.created],
+        ['Size', formatSize(image.size)],
+        ['Platforms', report.platforms.map(p => p.platform).filter(Boolean).join(', ')],
+        ['Digest verification', image.verification],
+        ['Author', image.author],
+        ['Entrypoint', image.entrypoint && `\`${image.entrypoint.join(' ')}\``],
+        ['Command', image.cmd && `\`${image.cmd.join(' ')}\``],
+        ['User', image.user],
+        ['Exposed ports', image.exposedPorts.join(', ')]
+      ].filter(([, value]) => value)
+
+      lines.push(
+        `# ${report.reference}`,
+        '',
+        `- **Registry:** ${report.registry}`,
+        ...details.map(([label, value]) => `- **${label}:** ${value}`)
+      )
+
+      const labels = Object.entries(image.labels)
+      if (labels.length) {
+        lines.push('', '## Labels', '', ...labels.map(([key, value]) => `- \`${key}\`: ${value}`))
+      }
+      if (report.rows.length) {
+        lines.push('', '## Layers', '', this.toMarkdownTable(COLUMNS.image, report.rows))
+      }
+    }
+
+    lines.push('', footer, '')
+    return lines.join('\n')
+  }
+}
+
+export default ReportExport
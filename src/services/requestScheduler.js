@@ -0,0 +1,213 @@
+/**
+ * Request Scheduler
+ * Runs registry requests with limited concurrency, in priority order.
+ *
+ * - Higher priority requests (the tag on screen) run before background prefetch
+ * - Requests can be cancelled with an AbortSignal, while queued or running
+ * - Identical requests share one in-flight result
+ * - 429 responses pause the queue (honouring Retry-After), lower the
+ *   concurrency and retry; concurrency recovers as requests succeed again
+ */
+
+export const PRIORITY = {
+  HIGH: 0,    // what the user is looking at
+  NORMAL: 1,
+  LOW: 2      // background prefetch
+}
+
+const DEFAULT_CONCURRENCY = 4
+const MAX_RETRIES = 5
+const BASE_BACKOFF = 1000       // ms, doubled on every retry without Retry-After
+const MAX_BACKOFF = 30 * 1000   // ms
+const RECOVERY_SUCCESSES = 10   // successful requests before concurrency goes back up by one
+
+export function createAbortError() {
+  return new DOMException('The request was cancelled', 'AbortError')
+}
+
+export class RequestScheduler {
+  constructor({ concurrency = DEFAULT_CONCURRENCY, maxRetries = MAX_RETRIES } = {}) {
+    this.concurrency = Math.max(1, concurrency)
+    this.limit = this.concurrency  // current limit, lowered while rate limited
+    this.maxRetries = maxRetries
+    this.queue = []                // tasks waiting to run, in priority order
+    this.running = 0
+    this.inFlight = new Map()      // key -> task, for deduplication
+    this.pausedUntil = 0
+    this.resumeTimer = null
+    this.successes = 0
+    this.sequence = 0
+  }
+
+  /**
+   * Change the maximum number of parallel requests
+   */
+  setConcurrency(concurrency) {
+    this.concurrency = Math.max(1, concurrency)
+    this.limit = this.concurrency
+    this.next()
+  }
+
+  /**
+   * Queue a request
+   * @param {Function} requestFn - (signal) => Promise, signal aborts once nobody waits for the result
+   * @param {Object} options - { priority, key, signal }; requests with the same key share one result
+   */
+  schedule(requestFn, { priority = PRIORITY.NORMAL, key = null, signal = null } = {}) {
+    if (signal?.aborted) return Promise.reject(createAbortError())
+
+    let task = key ? this.inFlight.get(key) : null
+    if (!task) {
+      task = this.createTask(requestFn, priority, key)
+    } else if (priority < task.priority && task.queued) {
+      // Someone more important is now waiting for this request
+      task.priority = priority
+      this.sortQueue()
+    }
+
+    return this.subscribe(task, signal)
+  }
+
+  createTask(requestFn, priority, key) {
+    const task = {
+      requestFn,
+      priority,
+      key,
+      order: this.sequence++,
+      attempts: 0,
+      subscribers: 0,
+      queued: false,
+      controller: new AbortController()
+    }
+    task.promise = new Promise((resolve, reject) => {
+      task.resolve = resolve
+      task.reject = reject
+    })
+
+    if (key) this.inFlight.set(key, task)
+    this.enqueue(task)
+    return task
+  }
+
+  /**
+   * Each caller gets its own promise, so one caller cancelling doesn't
+   * affect others waiting for the same request
+   */
+  subscribe(task, signal) {
+    task.subscribers++
+    if (!signal) return task.promise
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(createAbortError())
+        this.unsubscribe(task)
+      }
+      signal.addEventListener('abort', onAbort, { once: true })
+      task.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort))
+    })
+  }
+
+  unsubscribe(task) {
+    task.subscribers--
+    if (task.subscribers > 0) return
+
+    // Nobody is waiting any more: drop it from the queue or abort the fetch
+    if (task.queued) {
+      this.queue = this.queue.filter(t => t !== task)
+      task.queued = false
+    }
+    task.controller.abort()
+    task.reject(createAbortError())
+    this.forget(task)
+  }
+
+  forget(task) {
+    if (task.key && this.inFlight.get(task.key) === task) {
+      this.inFlight.delete(task.key)
+    }
+  }
+
+  enqueue(task) {
+    task.queued = true
+    this.queue.push(task)
+    this.sortQueue()
+    this.next()
+  }
+
+  // Priority first, then first come first served (retries keep their original place)
+  sortQueue() {
+    this.queue.sort((a, b) => a.priority - b.priority || a.order - b.order)
+  }
+
+  // Start as many queued tasks as the current limit allows
+  next() {
+    const wait = this.pausedUntil - Date.now()
+    if (wait > 0) {
+      if (!this.resumeTimer) {
+        this.resumeTimer = setTimeout(() => {
+          this.resumeTimer = null
+          this.next()
+        }, wait)
+      }
+      return
+    }
+
+    while (this.running < this.limit && this.queue.length > 0) {
+      this.run(this.queue.shift())
+    }
+  }
+
+  async run(task) {
+    task.queued = false
+    task.attempts++
+    this.running++
+
+    try {
+      const result = await task.requestFn(task.controller.signal)
+      this.onSuccess()
+      task.resolve(result)
+      this.forget(task)
+    } catch (error) {
+      const canRetry = error?.status === 429 &&
+        task.attempts <= this.maxRetries &&
+        !task.controller.signal.aborted
+
+      if (canRetry) {
+        this.onRateLimited(error.retryAfter, task.attempts)
+        this.enqueue(task)
+      } else {
+        task.reject(error)
+        this.forget(task)
+      }
+    } finally {
+      this.running--
+      this.next()
+    }
+  }
+
+  // Pause the whole queue and halve concurrency (once per pause)
+  onRateLimited(retryAfter, attempt) {
+    const backoff = retryAfter ?? Math.min(BASE_BACKOFF * 2 ** (attempt - 1), MAX_BACKOFF)
+    const now = Date.now()
+
+    if (now >= this.pausedUntil) {
+      this.limit = Math.max(1, Math.floor(this.limit / 2))
+    }
+    this.pausedUntil = Math.max(this.pausedUntil, now + backoff)
+    this.successes = 0
+  }
+
+  // Slowly raise concurrency back to the configured value
+  onSuccess() {
+    if (this.limit >= this.concurrency) return
+    this.successes++
+    if (this.successes >= RECOVERY_SUCCESSES) {
+      this.limit++
+      this.successes = 0
+    }
+  }
+}
+
+export default RequestScheduler
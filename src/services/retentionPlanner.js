@@ -0,0 +1,177 @@
+/**
+ * Retention Planner Service
+ * Builds a dry-run cleanup plan for a repository from retention rules.
+ *
+ * Deleting a manifest removes every tag pointing at it, so the plan works
+ * per digest: a digest is only deleted when none of its tags are kept.
+ */
+
+import { parseSemver, compareSemverDesc } from '../utils/versions'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const DEFAULT_RULES = {
+  keepNewestSemver: 10,  // keep the newest N semver tags (null = off)
+  keepPattern: '',       // keep tags matching this regex
+  olderThanDays: 30,     // only delete tags older than X days (null = any age)
+  keepLatest: true       // always keep "latest"
+}
+
+class RetentionPlanner {
+  /**
+   * Validate rules, returns an error message or null
+   */
+  static validateRules(rules) {
+    // Without either, the plan deletes every tag that isn't "latest" or matches the pattern
+    if (!rules.keepNewestSemver && rules.olderThanDays == null) {
+      return 'Keep some semver tags or set a minimum age: with neither, almost every tag would be deleted'
+    }
+    if (rules.keepPattern) {
+      try {
+        new RegExp(rules.keepPattern)
+      } catch (e) {
+        return `Invalid keep pattern: ${e.message}`
+      }
+    }
+    return null
+  }
+
+  /**
+   * Decide why a single tag is kept, returns a reason or null if it may be deleted
+   */
+  static getKeepReason(entry, rules, newestSemver, pattern, cutoff) {
+    if (rules.keepLatest && entry.tag === 'latest') return 'latest'
+    if (!entry.digest) return 'digest unavailable'
+    if (pattern && pattern.test(entry.tag)) return 'matches pattern'
+    if (newestSemver.has(entry.tag)) return `newest ${rules.keepNewestSemver} semver`
+    if (cutoff != null) {
+      if (!entry.created) return 'unknown age'
+      if (new Date(entry.created).getTime() > cutoff) return `newer than ${rules.olderThanDays} days`
+    }
+    return null
+  }
+
+  /**
+   * Build a dry-run plan
+   * @param {Array} entries - [{ tag, digest, created, blobs: [{ digest, size }], blobsComplete }]
+   * @param {Object} rules - see DEFAULT_RULES
+   * @returns {{ keep: Array, delete: Array, totalFreed: number, sizesComplete: boolean }}
+   *   sizesComplete is false when some image's blobs couldn't be loaded, making sizes a lower bound
+   */
+  static buildPlan(entries, rules, now = Date.now()) {
+    const pattern = rules.keepPattern ? new RegExp(rules.keepPattern) : null
+    const cutoff = rules.olderThanDays != null ? now - rules.olderThanDays * DAY_MS : null
+
+    // Newest N semver tags; only strict x.y.z tags count, so CI tags like 7f3e9a1 never outrank releases
+    const newestSemver = new Set()
+    if (rules.keepNewestSemver) {
+      entries
+        .map(e => ({ tag: e.tag, version: parseSemver(e.tag) }))
+        .filter(e => e.version)
+        .sort((a, b) => compareSemverDesc(a.version, b.version))
+        .slice(0, rules.keepNewestSemver)
+        .forEach(e => newestSemver.add(e.tag))
+    }
+
+    // Group tags by digest
+    const images = new Map()
+    const keep = []
+    for (const entry of entries) {
+      const reason = this.getKeepReason(entry, rules, newestSemver, pattern, cutoff)
+      if (!entry.digest) {
+        keep.push({ tag: entry.tag, reason })
+        continue
+      }
+
+      if (!images.has(entry.digest)) {
+        images.set(entry.digest, {
+          digest: entry.digest,
+          tags: [],
+          keptBy: [],
+          created: entry.created,
+          blobs: entry.blobs || []
+        })
+      }
+      const image = images.get(entry.digest)
+      image.tags.push(entry.tag)
+      if (reason) image.keptBy.push({ tag: entry.tag, reason })
+    }
+
+    const toDelete = []
+    for (const image of images.values()) {
+      if (image.keptBy.length) {
+        for (const tag of image.tags) {
+          const own = image.keptBy.find(k => k.tag === tag)
+          keep.push({ tag, reason: own ? own.reason : `shares digest with ${image.keptBy[0].tag}` })
+        }
+      } else {
+        toDelete.push(image)
+      }
+    }
+
+    // Count which images reference each blob, to work out what a deletion frees
+    const blobRefs = new Map()
+    for (const image of images.values()) {
+      for (const blob of image.blobs) {
+        if (!blobRefs.has(blob.digest)) {
+          blobRefs.set(blob.digest, { size: blob.size, refs: new Set() })
+        }
+        blobRefs.get(blob.digest).refs.add(image.digest)
+      }
+    }
+
+    const deleted = new Set(toDelete.map(i => i.digest))
+    let totalFreed = 0
+    for (const blob of blobRefs.values()) {
+      if ([...blob.refs].every(ref => deleted.has(ref))) {
+        totalFreed += blob.size
+      }
+    }
+
+    return {
+      keep,
+      delete: toDelete
+        .map(image => ({
+          digest: image.digest,
+          tags: image.tags,
+          created: image.created,
+          size: image.blobs.reduce((sum, b) => sum + b.size, 0),
+          // Bytes no other image in the repository references
+          freedSize: image.blobs
+            .filter(b => blobRefs.get(b.digest).refs.size === 1)
+            .reduce((sum, b) => sum + b.size, 0)
+        }))
+        .sort((a, b) => new Date(a.created || 0) - new Date(b.created || 0)),
+      totalFreed,
+      sizesComplete: entries.every(entry => !entry.digest || entry.blobsComplete !== false)
+    }
+  }
+
+  /**
+   * Build an exportable report of an executed plan
+   */
+  static buildReport(repository, rules, plan, results) {
+    const deleted = results.filter(r => r.success)
+    const failed = results.filter(r => !r.success)
+    return {
+      repository,
+      executedAt: new Date().toISOString(),
+      rules,
+      summary: {
+        deletedImages: deleted.length,
+        deletedTags: deleted.reduce((sum, r) => sum + r.tags.length, 0),
+        failed: failed.length,
+        // The plan total only holds if every deletion went through
+        estimatedFreedSize: failed.length
+          ? deleted.reduce((sum, r) => sum + r.freedSize, 0)
+          : plan.totalFreed,
+        // false when the estimate leaves out images whose layers couldn't be loaded
+        estimateComplete: plan.sizesComplete
+      },
+      deleted: deleted.map(({ digest, tags, created, size, freedSize }) => ({ digest, tags, created, size, freedSize })),
+      failed: failed.map(({ digest, tags, error }) => ({ digest, tags, error }))
+    }
+  }
+}
+
+export default RetentionPlanner
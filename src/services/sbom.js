@@ -0,0 +1,299 @@
+/**
+ * SBOM Service
+ * Finds the SPDX or CycloneDX SBOM attached to an image, parses its
+ * package inventory and diffs the inventories of two images
+ *
+ * SBOMs are found, in order, as:
+ * - the image itself, when the tag is an SBOM artifact
+ * - artifacts attached through the referrers API or cosign's .sbom/.att tags
+ * - BuildKit attestation manifests inside a multi-platform image index
+ */
+
+import { registryApi } from './registryApi'
+import OciArtifacts, { ARTIFACT_CATEGORIES } from './ociArtifacts'
+
+export const SBOM_FORMATS = {
+  SPDX: 'spdx',
+  CYCLONEDX: 'cyclonedx'
+}
+
+// Predicate types of in-toto statements that carry an SBOM
+const SBOM_PREDICATE = /spdx|cyclonedx/i
+const PREDICATE_ANNOTATIONS = ['in-toto.io/predicate-type', 'predicateType']
+
+// Compare dotted/dashed versions segment by segment, numbers numerically
+function compareVersions(a, b) {
+  const partsA = String(a).split(/[.\-+:~_]/)
+  const partsB = String(b).split(/[.\-+:~_]/)
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const x = partsA[i] ?? ''
+    const y = partsB[i] ?? ''
+    if (x === y) continue
+    const numX = /^\d+$/.test(x) ? Number(x) : NaN
+    const numY = /^\d+$/.test(y) ? Number(y) : NaN
+    if (!Number.isNaN(numX) && !Number.isNaN(numY)) return numX - numY
+    return x.localeCompare(y)
+  }
+  return 0
+}
+
+class Sbom {
+  /**
+   * SBOM format of a parsed JSON document, or null
+   */
+  static detectFormat(doc) {
+    if (!doc || typeof doc !== 'object') return null
+    if (doc.spdxVersion) return SBOM_FORMATS.SPDX
+    if (doc.bomFormat === 'CycloneDX') return SBOM_FORMATS.CYCLONEDX
+    return null
+  }
+
+  /**
+   * Get the SBOM out of the envelopes attestations wrap it in:
+   * a DSSE envelope (base64 payload) around an in-toto statement (predicate)
+   */
+  static unwrap(data) {
+    let doc = data
+    if (typeof doc === 'string') {
+      try {
+        doc = JSON.parse(doc)
+      } catch {
+        return null
+      }
+    }
+    if (doc?.payloadType && doc.payload) {
+      try {
+        const bytes = Uint8Array.from(atob(doc.payload), c => c.charCodeAt(0))
+        doc = JSON.parse(new TextDecoder().decode(bytes))
+      } catch {
+        return null
+      }
+    }
+    if (doc?.predicate && doc.predicateType) {
+      doc = doc.predicate
+    }
+    return this.detectFormat(doc) ? doc : null
+  }
+
+  /**
+   * Parse an SPDX or CycloneDX JSON document
+   * @returns {{ format, specVersion, name, created, tools: string[], packages: Array<{ id, name, version, purl, license, type }> }}
+   */
+  static parse(doc) {
+    const format = this.detectFormat(doc)
+    if (format === SBOM_FORMATS.SPDX) return this.parseSpdx(doc)
+    if (format === SBOM_FORMATS.CYCLONEDX) return this.parseCycloneDx(doc)
+    throw new Error('Not an SPDX or CycloneDX JSON document')
+  }
+
+  static parseSpdx(doc) {
+    const usable = value => (value && value !== 'NOASSERTION' && value !== 'NONE' ? value : null)
+    const packages = (doc.packages || []).map(pkg => {
+      const purl = pkg.externalRefs?.find(ref => ref.referenceType === 'purl')?.referenceLocator || null
+      return {
+        id: pkg.SPDXID || `${pkg.name}@${pkg.versionInfo}`,
+        name: pkg.name,
+        version: pkg.versionInfo || null,
+        purl,
+        license: usable(pkg.licenseConcluded) || usable(pkg.licenseDeclared),
+        type: purl ? this.getPurlType(purl) : null
+      }
+    })
+    return {
+      format: SBOM_FORMATS.SPDX,
+      specVersion: doc.spdxVersion,
+      name: doc.name || null,
+      created: doc.creationInfo?.created || null,
+      tools: (doc.creationInfo?.creators || [])
+        .filter(creator => creator.startsWith('Tool:'))
+        .map(creator => creator.slice(5).trim()),
+      packages
+    }
+  }
+
+  static parseCycloneDx(doc) {
+    const packages = []
+    // Components can nest
+    const walk = (components = []) => components.forEach(component => {
+      packages.push({
+        id: component['bom-ref'] || `${component.name}@${component.version}`,
+        name: component.group ? `${component.group}/${component.name}` : component.name,
+        version: component.version || null,
+        purl: component.purl || null,
+        license: this.getCycloneDxLicense(component.licenses),
+        type: component.purl ? this.getPurlType(component.purl) : component.type || null
+      })
+      walk(component.components)
+    })
+    walk(doc.components)
+
+    const tools = doc.metadata?.tools
+    // 1.5 moved tools into { components, services }
+    const toolList = Array.isArray(tools) ? tools : [...(tools?.components || []), ...(tools?.services || [])]
+    return {
+      format: SBOM_FORMATS.CYCLONEDX,
+      specVersion: `CycloneDX ${doc.specVersion || ''}`.trim(),
+      name: doc.metadata?.component?.name || null,
+      created: doc.metadata?.timestamp || null,
+      tools: toolList.map(tool => [tool.name, tool.version].filter(Boolean).join(' ')),
+      packages
+    }
+  }
+
+  static getCycloneDxLicense(licenses) {
+    if (!licenses?.length) return null
+    return licenses
+      .map(entry => entry.expression || entry.license?.id || entry.license?.name)
+      .filter(Boolean)
+      .join(' AND ') || null
+  }
+
+  /**
+   * Package type from a PURL, e.g. npm for pkg:npm/lodash@4.17.21
+   */
+  static getPurlType(purl) {
+    return purl.match(/^pkg:([^/]+)\//)?.[1] || null
+  }
+
+  /**
+   * Identity of a package across versions: its PURL without version,
+   * qualifiers and subpath, or its name
+   */
+  static getPackageKey(pkg) {
+    if (pkg.purl) return pkg.purl.replace(/[?#].*$/, '').replace(/@[^/]*$/, '')
+    return pkg.name
+  }
+
+  /**
+   * Diff two package inventories
+   * A package present in both with different versions is upgraded or downgraded
+   * @returns {{ added: Array, removed: Array, changed: Array<{ name, type, from, to, direction }>, unchanged: number }}
+   */
+  static diff(packagesA, packagesB) {
+    const group = packages => {
+      const map = new Map()
+      for (const pkg of packages) {
+        const key = this.getPackageKey(pkg)
+        if (!map.has(key)) map.set(key, { name: pkg.name, type: pkg.type, versions: new Set(), packages: [] })
+        const entry = map.get(key)
+        entry.versions.add(pkg.version || '')
+        entry.packages.push(pkg)
+      }
+      return map
+    }
+    const before = group(packagesA)
+    const after = group(packagesB)
+
+    const added = []
+    const removed = []
+    const changed = []
+    let unchanged = 0
+
+    for (const [key, entry] of after) {
+      const previous = before.get(key)
+      if (!previous) {
+        added.push(...entry.packages)
+        continue
+      }
+      const from = [...previous.versions].sort(compareVersions)
+      const to = [...entry.versions].sort(compareVersions)
+      if (from.join() === to.join()) {
+        unchanged++
+        continue
+      }
+      const order = compareVersions(to[to.length - 1], from[from.length - 1])
+      changed.push({
+        name: entry.name,
+        type: entry.type,
+        from: from.filter(Boolean).join(', '),
+        to: to.filter(Boolean).join(', '),
+        direction: order > 0 ? 'upgraded' : order < 0 ? 'downgraded' : 'changed'
+      })
+    }
+    for (const [key, entry] of before) {
+      if (!after.has(key)) removed.push(...entry.packages)
+    }
+
+    return { added, removed, changed, unchanged }
+  }
+
+  /**
+   * Layers of a manifest that may hold an SBOM: SBOM media types, or
+   * attestations whose predicate type is an SBOM (when annotated)
+   */
+  static getSbomLayers(manifest) {
+    return (manifest?.layers || []).filter(layer => {
+      const { category } = OciArtifacts.describeType(layer.mediaType)
+      if (category === ARTIFACT_CATEGORIES.SBOM) return true
+      if (category !== ARTIFACT_CATEGORIES.ATTESTATION) return false
+      const predicate = PREDICATE_ANNOTATIONS.map(key => layer.annotations?.[key]).find(Boolean)
+      return !predicate || SBOM_PREDICATE.test(predicate)
+    })
+  }
+
+  /**
+   * Fetch and parse the SBOM layers of one manifest
+   */
+  static async readManifest(repository, manifest, source, options) {
+    const documents = []
+    for (const layer of this.getSbomLayers(manifest)) {
+      try {
+        const doc = this.unwrap(await registryApi.getBlob(repository, layer.digest, options))
+        if (doc) documents.push({ source, digest: layer.digest, ...this.parse(doc) })
+      } catch (e) {
+        if (e.name === 'AbortError') throw e
+        console.warn(`Could not read SBOM layer ${layer.digest}:`, e)
+      }
+    }
+    return documents
+  }
+
+  /**
+   * Find and parse every SBOM attached to an image
+   * @param {string} repository
+   * @param {Object} imageInfo - as returned by getImageInfo
+   * @param {{ platformDigest?: string, tags?: string[], priority?: number, signal?: AbortSignal }} options
+   *   platformDigest picks the platform of a multi-platform image
+   * @returns {Promise<Array<{ source, digest, format, specVersion, name, created, tools, packages }>>}
+   */
+  static async find(repository, imageInfo, { platformDigest = null, tags = null, priority, signal } = {}) {
+    const options = { priority, signal }
+
+    if (imageInfo.isArtifact) {
+      return this.readManifest(repository, imageInfo.manifest, 'This artifact', options)
+    }
+
+    const documents = []
+    if (imageInfo.digest) {
+      const { referrers } = await registryApi.getAttachedArtifacts(repository, imageInfo.digest, { tags, ...options })
+      const candidates = referrers.filter(r =>
+        [ARTIFACT_CATEGORIES.SBOM, ARTIFACT_CATEGORIES.ATTESTATION].includes(r.category) && !r.error
+      )
+      // A broken or deleted referrer is skipped; the others may still hold an SBOM
+      for (const referrer of candidates) {
+        const reference = referrer.digest || referrer.tag
+        try {
+          const manifest = await registryApi.getManifest(repository, reference, options)
+          documents.push(...await this.readManifest(repository, manifest, referrer.tag || referrer.label, options))
+        } catch (e) {
+          if (e.name === 'AbortError') throw e
+          console.warn(`Could not read SBOM referrer ${reference}:`, e)
+        }
+      }
+    }
+
+    // BuildKit attestations for the chosen platform
+    if (imageInfo.isMultiPlatform) {
+      const subject = platformDigest || imageInfo.firstPlatformDigest
+      const attestation = OciArtifacts.getIndexAttestations(imageInfo.manifest).find(a => a.subject === subject)
+      if (attestation) {
+        const manifest = await registryApi.getPlatformManifest(repository, attestation.digest, options)
+        documents.push(...await this.readManifest(repository, manifest, 'BuildKit attestation', options))
+      }
+    }
+
+    return documents
+  }
+}
+
+export default Sbom
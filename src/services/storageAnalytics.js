@@ -0,0 +1,294 @@
+/**
+ * Storage Analytics Service
+ * Walks the registry (catalog -> tags -> manifests) and works out where
+ * the disk space goes, counting layers shared between images only once.
+ *
+ * Scan results are saved per repository in IndexedDB, so an interrupted
+ * scan resumes with the repositories it hasn't analyzed yet.
+ */
+
+import { registryApi } from './registryApi'
+import { PRIORITY } from './requestScheduler'
+import { openDatabase, promisifyRequest, transactionDone } from '../utils/idb'
+import { toCsv } from '../utils/csv'
+
+const DB_NAME = 'registry-lens-analytics'
+const DB_VERSION = 1
+const STORES = {
+  JOBS: 'jobs',               // namespace -> { namespace, repositories, completed, startedAt, finishedAt }
+  REPOSITORIES: 'repositories' // [namespace, repository] -> scanned repository
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+export const GROWTH_DAYS = 30
+const LARGEST_LAYERS = 50
+
+class StorageAnalytics {
+  static getDatabase() {
+    return openDatabase(DB_NAME, DB_VERSION, (db, oldVersion) => {
+      if (oldVersion < 1) {
+        db.createObjectStore(STORES.JOBS, { keyPath: 'namespace' })
+        db.createObjectStore(STORES.REPOSITORIES, { keyPath: ['namespace', 'repository'] })
+      }
+    })
+  }
+
+  /**
+   * Load a registry's saved scan: { job, records } or null
+   */
+  static async loadScan(namespace) {
+    const db = await this.getDatabase()
+    const tx = db.transaction([STORES.JOBS, STORES.REPOSITORIES])
+    const [job, records] = await Promise.all([
+      promisifyRequest(tx.objectStore(STORES.JOBS).get(namespace)),
+      promisifyRequest(tx.objectStore(STORES.REPOSITORIES).getAll(
+        IDBKeyRange.bound([namespace], [namespace, []])
+      ))
+    ])
+    return job ? { job, records } : null
+  }
+
+  static async saveJob(job) {
+    const db = await this.getDatabase()
+    const tx = db.transaction(STORES.JOBS, 'readwrite')
+    tx.objectStore(STORES.JOBS).put(job)
+    await transactionDone(tx)
+  }
+
+  /**
+   * Save a scanned repository and mark it done in the job, in one transaction
+   */
+  static async saveRepository(job, record) {
+    const db = await this.getDatabase()
+    const tx = db.transaction([STORES.JOBS, STORES.REPOSITORIES], 'readwrite')
+    tx.objectStore(STORES.REPOSITORIES).put({ ...record, namespace: job.namespace })
+    tx.objectStore(STORES.JOBS).put(job)
+    await transactionDone(tx)
+  }
+
+  static async clearScan(namespace) {
+    const db = await this.getDatabase()
+    const tx = db.transaction([STORES.JOBS, STORES.REPOSITORIES], 'readwrite')
+    tx.objectStore(STORES.JOBS).delete(namespace)
+    tx.objectStore(STORES.REPOSITORIES).delete(IDBKeyRange.bound([namespace], [namespace, []]))
+    await transactionDone(tx)
+  }
+
+  /**
+   * Start a new scan job for a registry
+   */
+  static async createJob(namespace, { signal } = {}) {
+    const repositories = await registryApi.getAllRepositories({ priority: PRIORITY.LOW, signal })
+    const job = {
+      namespace,
+      repositories,
+      completed: [],
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    }
+    await this.clearScan(namespace)
+    await this.saveJob(job)
+    return job
+  }
+
+  /**
+   * Read one image manifest: its config and layers, plus the creation date
+   */
+  static async readImage(repository, manifest, platform, options) {
+    let created = null
+    if (manifest.config?.digest) {
+      try {
+        const config = await registryApi.getBlob(repository, manifest.config.digest, options)
+        created = config?.created || null
+      } catch (e) {
+        if (e.name === 'AbortError') throw e
+      }
+    }
+
+    return {
+      // The config digest is the image ID, shared by every tag of the same image
+      id: manifest.config?.digest || null,
+      platform,
+      created,
+      configSize: manifest.config?.size || 0,
+      layers: (manifest.layers || []).map(l => ({ digest: l.digest, size: l.size || 0 }))
+    }
+  }
+
+  /**
+   * Scan every tag of a repository through the background request queue
+   */
+  static async scanRepository(repository, { signal, onTag } = {}) {
+    const options = { priority: PRIORITY.LOW, signal }
+    let tags
+    try {
+      const result = await registryApi.getTags(repository, options)
+      tags = result.tags || []
+    } catch (e) {
+      if (e.name === 'AbortError') throw e
+      // e.g. a repository deleted since the catalog was read; don't block the rest of the scan
+      return { repository, analyzedAt: new Date().toISOString(), tags: [], error: e.message }
+    }
+    let done = 0
+
+    const scanned = await Promise.all(tags.map(async (tag) => {
+      try {
+        const manifest = await registryApi.getManifest(repository, tag, options)
+        let images = []
+
+        if (registryApi.isManifestList(manifest)) {
+          // Skip attestation manifests, they're listed as unknown/unknown
+          const platforms = (manifest.manifests || [])
+            .filter(m => m.platform && m.platform.os !== 'unknown')
+          images = await Promise.all(platforms.map(async (m) => {
+            const platformManifest = await registryApi.getPlatformManifest(repository, m.digest, options)
+            const platform = [m.platform.os, m.platform.architecture, m.platform.variant].filter(Boolean).join('/')
+            return this.readImage(repository, platformManifest, platform, options)
+          }))
+        } else {
+          images = [await this.readImage(repository, manifest, null, options)]
+        }
+
+        return { tag, images }
+      } catch (e) {
+        if (e.name === 'AbortError') throw e
+        return { tag, images: [], error: e.message }
+      } finally {
+        onTag?.(++done, tags.length)
+      }
+    }))
+
+    return {
+      repository,
+      analyzedAt: new Date().toISOString(),
+      tags: scanned
+    }
+  }
+
+  /**
+   * Build the analytics report from scanned repositories
+   *
+   * - logicalSize: every tag/platform counted in full, what a naive sum shows
+   * - storedSize: distinct blobs in the repository
+   * - uniqueSize: blobs no other repository uses, what deleting it would free
+   * - growth: bytes of its layers first seen in the registry in the last GROWTH_DAYS days
+   */
+  static buildReport(records, { now = Date.now(), growthDays = GROWTH_DAYS } = {}) {
+    const cutoff = now - growthDays * DAY_MS
+    const blobs = new Map()     // digest -> { digest, size, isLayer, images: Set, repositories: Set }
+    const firstSeen = new Map() // layer digest -> earliest creation time of an image using it
+
+    const addBlob = (digest, size, isLayer, imageKey, repository) => {
+      if (!digest) return
+      if (!blobs.has(digest)) {
+        blobs.set(digest, { digest, size, isLayer, images: new Set(), repositories: new Set() })
+      }
+      const blob = blobs.get(digest)
+      blob.images.add(imageKey)
+      blob.repositories.add(repository)
+    }
+
+    for (const record of records) {
+      for (const { images } of record.tags) {
+        for (const image of images) {
+          const imageKey = `${record.repository}@${image.id}`
+          const created = image.created ? new Date(image.created).getTime() : null
+          addBlob(image.id, image.configSize, false, imageKey, record.repository)
+          for (const layer of image.layers) {
+            addBlob(layer.digest, layer.size, true, imageKey, record.repository)
+            if (created != null && (!firstSeen.has(layer.digest) || created < firstSeen.get(layer.digest))) {
+              firstSeen.set(layer.digest, created)
+            }
+          }
+        }
+      }
+    }
+
+    const repositories = records.map(record => {
+      const repoBlobs = new Map() // digest -> size
+      const repoLayers = new Set()
+      const imageIds = new Set()
+      let logicalSize = 0
+      let failedTags = 0
+
+      for (const { images, error } of record.tags) {
+        if (error) failedTags++
+        for (const image of images) {
+          if (image.id) imageIds.add(image.id)
+          logicalSize += image.configSize + image.layers.reduce((sum, l) => sum + l.size, 0)
+          if (image.id) repoBlobs.set(image.id, image.configSize)
+          for (const layer of image.layers) {
+            repoBlobs.set(layer.digest, layer.size)
+            repoLayers.add(layer.digest)
+          }
+        }
+      }
+
+      let storedSize = 0
+      let uniqueSize = 0
+      for (const [digest, size] of repoBlobs) {
+        storedSize += size
+        if (blobs.get(digest).repositories.size === 1) uniqueSize += size
+      }
+
+      let growth = 0
+      for (const digest of repoLayers) {
+        if (firstSeen.get(digest) >= cutoff) growth += repoBlobs.get(digest)
+      }
+
+      return {
+        repository: record.repository,
+        tagCount: record.tags.length,
+        imageCount: imageIds.size,
+        failedTags,
+        logicalSize,
+        storedSize,
+        uniqueSize,
+        sharedSize: storedSize - uniqueSize,
+        growth
+      }
+    })
+
+    const allBlobs = [...blobs.values()]
+    const largestLayers = allBlobs
+      .filter(b => b.isLayer)
+      .sort((a, b) => b.size - a.size)
+      .slice(0, LARGEST_LAYERS)
+      .map(b => ({
+        digest: b.digest,
+        size: b.size,
+        imageCount: b.images.size,
+        repositories: [...b.repositories].sort()
+      }))
+
+    return {
+      generatedAt: new Date(now).toISOString(),
+      growthDays,
+      totals: {
+        repositories: repositories.length,
+        tags: repositories.reduce((sum, r) => sum + r.tagCount, 0),
+        images: repositories.reduce((sum, r) => sum + r.imageCount, 0),
+        blobs: allBlobs.length,
+        logicalSize: repositories.reduce((sum, r) => sum + r.logicalSize, 0),
+        storedSize: allBlobs.reduce((sum, b) => sum + b.size, 0)
+      },
+      repositories: repositories.sort((a, b) => b.storedSize - a.storedSize),
+      largestLayers,
+      topGrowth: [...repositories].filter(r => r.growth > 0).sort((a, b) => b.growth - a.growth).slice(0, 10)
+    }
+  }
+
+  /**
+   * Per-repository CSV (sizes in bytes)
+   */
+  static toCsv(report) {
+    const header = ['repository', 'tags', 'images', 'failed_tags', 'logical_size', 'stored_size', 'unique_size', 'shared_size', `growth_${report.growthDays}d`]
+    const rows = report.repositories.map(r => [
+      r.repository, r.tagCount, r.imageCount, r.failedTags,
+      r.logicalSize, r.storedSize, r.uniqueSize, r.sharedSize, r.growth
+    ])
+    return toCsv([header, ...rows])
+  }
+}
+
+export default StorageAnalytics
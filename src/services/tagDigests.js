@@ -0,0 +1,34 @@
+/**
+ * Tag Digest Service
+ * Resolves tags to manifest digests. Every digest a HEAD request returns is
+ * cached and recorded in the tag history here, so each caller observes tag
+ * moves the same way.
+ */
+
+import { registryApi } from './registryApi'
+import imageCache from './imageCache'
+import tagHistory from './tagHistory'
+
+class TagDigests {
+  /**
+   * Tag -> digest with a HEAD request, bypassing the cache
+   * Throws if the registry doesn't expose the digest
+   */
+  static async fetch(repository, tag, options = {}) {
+    const digest = await registryApi.getManifestDigest(repository, tag, options)
+    imageCache.saveTagDigest(repository, tag, digest)
+    tagHistory.record(repository, tag, digest)
+    return digest
+  }
+
+  /**
+   * Tag -> digest from the cache, or a HEAD request; options.force skips the cache
+   */
+  static async resolve(repository, tag, options = {}) {
+    const cached = options.force ? null : await imageCache.getTagDigest(repository, tag)
+    if (cached) return cached
+    return this.fetch(repository, tag, options)
+  }
+}
+
+export default TagDigests
@@ -0,0 +1,128 @@
+/**
+ * Tag History Service
+ * Remembers every tag -> digest mapping the browser has observed, so a later
+ * visit can tell when a mutable tag like `latest` moved to a new image.
+ *
+ * Each observation covers the time span a tag was seen pointing at one
+ * digest: seeing the same digest again extends it, a new digest starts the
+ * next one. A move happened somewhere between the end of one span and the
+ * start of the next. Unlike the image cache, history never expires; it is
+ * namespaced per saved registry and removed with it.
+ *
+ * Every method fails soft: without IndexedDB there is just no history.
+ */
+
+import { openDatabase, promisifyRequest, transactionDone } from '../utils/idb'
+
+const DB_NAME = 'registry-lens-tag-history'
+const DB_VERSION = 1
+const STORE = 'observations' // [namespace, repository, tag, firstSeen] -> { namespace, repository, tag, digest, firstSeen, lastSeen }
+
+class TagHistory {
+  static namespace = 'default'
+
+  /**
+   * Switch to a registry's history
+   */
+  static setNamespace(registryId) {
+    this.namespace = registryId || 'default'
+  }
+
+  static getDatabase() {
+    return openDatabase(DB_NAME, DB_VERSION, (db, oldVersion) => {
+      if (oldVersion < 1) {
+        db.createObjectStore(STORE, { keyPath: ['namespace', 'repository', 'tag', 'firstSeen'] })
+      }
+    })
+  }
+
+  // Arrays sort after strings and numbers, so [..., []] is past every key of the prefix
+  static getRange(...prefix) {
+    return IDBKeyRange.bound(prefix, [...prefix, []])
+  }
+
+  /**
+   * Record that a tag points at a digest right now
+   */
+  static async record(repository, tag, digest) {
+    if (!digest) return
+    try {
+      const db = await this.getDatabase()
+      const tx = db.transaction(STORE, 'readwrite')
+      const store = tx.objectStore(STORE)
+      const now = Date.now()
+
+      // The newest observation of this tag decides whether it moved
+      const request = store.openCursor(this.getRange(this.namespace, repository, tag), 'prev')
+      request.onsuccess = () => {
+        const cursor = request.result
+        if (cursor?.value.digest === digest) {
+          cursor.update({ ...cursor.value, lastSeen: now })
+        } else {
+          store.put({ namespace: this.namespace, repository, tag, digest, firstSeen: now, lastSeen: now })
+        }
+      }
+      await transactionDone(tx)
+    } catch (e) {
+      console.warn('Failed to record tag history:', e)
+    }
+  }
+
+  /**
+   * Observations of every tag in a repository, oldest first
+   * @returns {Promise<Object>} tag -> [{ digest, firstSeen, lastSeen }]
+   */
+  static async getRepositoryHistory(repository) {
+    try {
+      const db = await this.getDatabase()
+      const records = await promisifyRequest(
+        db.transaction(STORE).objectStore(STORE).getAll(this.getRange(this.namespace, repository))
+      )
+      const history = {}
+      for (const { tag, digest, firstSeen, lastSeen } of records) {
+        (history[tag] ||= []).push({ digest, firstSeen, lastSeen })
+      }
+      return history
+    } catch (e) {
+      console.warn('Failed to read tag history:', e)
+      return {}
+    }
+  }
+
+  /**
+   * Tag moves in a repository's history, newest first
+   * A move happened between `after` (last seen on the old digest) and `before` (first seen on the new one)
+   * @returns {Array<{ tag, from, to, after, before }>}
+   */
+  static getMoves(history) {
+    const moves = []
+    for (const [tag, observations] of Object.entries(history)) {
+      for (let i = 1; i < observations.length; i++) {
+        moves.push({
+          tag,
+          from: observations[i - 1].digest,
+          to: observations[i].digest,
+          after: observations[i - 1].lastSeen,
+          before: observations[i].firstSeen
+        })
+      }
+    }
+    return moves.sort((a, b) => b.before - a.before)
+  }
+
+  /**
+   * Forget a registry's history
+   */
+  static async clearAll(namespace = this.namespace) {
+    try {
+      const db = await this.getDatabase()
+      const tx = db.transaction(STORE, 'readwrite')
+      tx.objectStore(STORE).delete(this.getRange(namespace))
+      await transactionDone(tx)
+    } catch (e) {
+      console.warn('Failed to clear tag history:', e)
+    }
+  }
+}
+
+export default TagHistory
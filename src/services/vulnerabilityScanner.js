@@ -0,0 +1,406 @@
+/**
+ * Vulnerability Scanner Service
+ * Matches package inventories (from an SBOM or the OS package database in
+ * the layers) against the imported advisory database, entirely offline.
+ *
+ * Packages are identified by their PURL, mapped to an OSV ecosystem and
+ * checked against the advisory's affected version ranges using that
+ * ecosystem's version ordering (dpkg, apk, or a generic dotted comparison).
+ */
+
+import { registryApi } from './registryApi'
+import imageCache from './imageCache'
+import AdvisoryDatabase, { SEVERITIES } from './advisoryDatabase'
+import DigestLookup from './digestLookup'
+import OciArtifacts from './ociArtifacts'
+import Sbom from './sbom'
+import { PRIORITY } from './requestScheduler'
+
+// OSV ecosystems of PURL types; OS packages also depend on the PURL namespace
+const PURL_ECOSYSTEMS = {
+  npm: 'npm',
+  pypi: 'PyPI',
+  maven: 'Maven',
+  golang: 'Go',
+  cargo: 'crates.io',
+  gem: 'RubyGems',
+  nuget: 'NuGet',
+  composer: 'Packagist',
+  hex: 'Hex',
+  pub: 'Pub'
+}
+
+const DISTRO_ECOSYSTEMS = {
+  apk: { alpine: 'Alpine', wolfi: 'Wolfi', chainguard: 'Chainguard' },
+  deb: { debian: 'Debian', ubuntu: 'Ubuntu' },
+  rpm: { redhat: 'Red Hat', rocky: 'Rocky Linux', almalinux: 'AlmaLinux' }
+}
+
+const DPKG_ECOSYSTEMS = ['Debian', 'Ubuntu']
+const APK_ECOSYSTEMS = ['Alpine', 'Wolfi', 'Chainguard']
+
+// dpkg ordering of a single character: ~ before everything, letters before other symbols
+function dpkgOrder(char) {
+  if (char === undefined) return 0
+  if (char === '~') return -1
+  if (/[a-zA-Z]/.test(char)) return char.charCodeAt(0)
+  return char.charCodeAt(0) + 256
+}
+
+// dpkg's verrevcmp for one upstream version or revision
+function compareDpkgPart(a, b) {
+  let i = 0
+  let j = 0
+  while (i < a.length || j < b.length) {
+    while ((i < a.length && !/\d/.test(a[i])) || (j < b.length && !/\d/.test(b[j]))) {
+      const diff = dpkgOrder(/\d/.test(a[i]) ? undefined : a[i]) - dpkgOrder(/\d/.test(b[j]) ? undefined : b[j])
+      if (diff) return diff
+      i++
+      j++
+    }
+    let numA = ''
+    let numB = ''
+    while (i < a.length && /\d/.test(a[i])) numA += a[i++]
+    while (j < b.length && /\d/.test(b[j])) numB += b[j++]
+    const diff = Number(numA || 0) - Number(numB || 0)
+    if (diff) return diff
+  }
+  return 0
+}
+
+function compareDpkg(a, b) {
+  const split = version => {
+    const colon = version.indexOf(':')
+    const epoch = colon > 0 ? Number(version.slice(0, colon)) : 0
+    const rest = colon > 0 ? version.slice(colon + 1) : version
+    const dash = rest.lastIndexOf('-')
+    return dash > 0 ? [epoch, rest.slice(0, dash), rest.slice(dash + 1)] : [epoch, rest, '']
+  }
+  const [epochA, upstreamA, revisionA] = split(a)
+  const [epochB, upstreamB, revisionB] = split(b)
+  return (epochA - epochB) || compareDpkgPart(upstreamA, upstreamB) || compareDpkgPart(revisionA, revisionB)
+}
+
+// apk suffixes: pre-releases sort before the plain version, _p (patch) after it
+const APK_SUFFIXES = { alpha: -4, beta: -3, pre: -2, rc: -1, cvs: 1, svn: 1, git: 1, hg: 1, p: 2 }
+
+function compareApk(a, b) {
+  const split = version => {
+    const match = version.match(/^(.*?)(?:-r(\d+))?$/)
+    const [main, ...suffixes] = match[1].split('_')
+    return { main, suffixes, revision: Number(match[2] || 0) }
+  }
+  const versionA = split(a)
+  const versionB = split(b)
+  const diff = compareGeneric(versionA.main, versionB.main)
+  if (diff) return diff
+  for (let i = 0; i < Math.max(versionA.suffixes.length, versionB.suffixes.length); i++) {
+    const [, nameA = '', numA = 0] = versionA.suffixes[i]?.match(/^([a-z]+)(\d*)$/) || []
+    const [, nameB = '', numB = 0] = versionB.suffixes[i]?.match(/^([a-z]+)(\d*)$/) || []
+    const order = (APK_SUFFIXES[nameA] || 0) - (APK_SUFFIXES[nameB] || 0)
+    if (order) return order
+    if (Number(numA) !== Number(numB)) return Number(numA) - Number(numB)
+  }
+  return versionA.revision - versionB.revision
+}
+
+// Dotted versions, numbers numerically; a SemVer pre-release sorts before its release
+function compareGeneric(a, b) {
+  const split = version => {
+    const clean = version.replace(/^v/, '').replace(/\+.*$/, '')
+    const dash = clean.search(/-(?=[a-zA-Z])/)
+    return dash > 0 ? [clean.slice(0, dash), clean.slice(dash + 1)] : [clean, null]
+  }
+  const tokens = text => text.match(/\d+|[a-zA-Z]+/g) || []
+  const compareTokens = (x, y) => {
+    for (let i = 0; i < Math.max(x.length, y.length); i++) {
+      if (x[i] === y[i]) continue
+      if (x[i] === undefined) return /^\d/.test(y[i]) && Number(y[i]) === 0 ? 0 : -1
+      if (y[i] === undefined) return /^\d/.test(x[i]) && Number(x[i]) === 0 ? 0 : 1
+      const numeric = /^\d+$/.test(x[i]) && /^\d+$/.test(y[i])
+      const diff = numeric ? Number(x[i]) - Number(y[i]) : x[i].localeCompare(y[i])
+      if (diff) return diff
+    }
+    return 0
+  }
+
+  const [releaseA, preA] = split(a)
+  const [releaseB, preB] = split(b)
+  const diff = compareTokens(tokens(releaseA), tokens(releaseB))
+  if (diff) return diff
+  if (preA === null || preB === null) return (preA === null ? 1 : 0) - (preB === null ? 1 : 0)
+  return compareTokens(tokens(preA), tokens(preB))
+}
+
+class VulnerabilityScanner {
+  static getComparator(ecosystem) {
+    if (DPKG_ECOSYSTEMS.includes(ecosystem)) return compareDpkg
+    if (APK_ECOSYSTEMS.includes(ecosystem)) return compareApk
+    return compareGeneric
+  }
+
+  static compareVersions(ecosystem, a, b) {
+    return this.getComparator(ecosystem)(a, b)
+  }
+
+  /**
+   * Split a PURL into { type, namespace, name, version, qualifiers }
+   */
+  static parsePurl(purl) {
+    const match = (purl || '').match(/^pkg:([^/]+)\/([^@?#]+)(?:@([^?#]*))?(?:\?([^#]*))?/)
+    if (!match) return null
+    const path = match[2].split('/').map(decodeURIComponent)
+    const qualifiers = Object.fromEntries(new URLSearchParams(match[4] || ''))
+    return {
+      type: match[1].toLowerCase(),
+      namespace: path.length > 1 ? path.slice(0, -1).join('/') : null,
+      name: path[path.length - 1],
+      version: match[3] ? decodeURIComponent(match[3]) : null,
+      qualifiers
+    }
+  }
+
+  /**
+   * OSV ecosystem, package names and distro release to look a package up by
+   * OS packages are also looked up by their source package
+   * @returns {{ ecosystem, names: string[], version, distroVersion } | null}
+   */
+  static getLookup(pkg) {
+    const purl = this.parsePurl(pkg.purl)
+    const version = purl?.version || pkg.version
+    if (!purl || !version) return null
+
+    const distroEcosystems = DISTRO_ECOSYSTEMS[purl.type]
+    if (distroEcosystems) {
+      const ecosystem = distroEcosystems[purl.namespace?.toLowerCase()]
+      if (!ecosystem) return null
+      const upstream = purl.qualifiers.upstream?.split(' ')[0]
+      const distroVersion = purl.qualifiers.distro?.match(/(\d[\w.]*)$/)?.[1] || null
+      return { ecosystem, names: [...new Set([purl.name, upstream].filter(Boolean))], version, distroVersion }
+    }
+
+    const ecosystem = PURL_ECOSYSTEMS[purl.type]
+    if (!ecosystem) return null
+    let name = purl.name
+    if (purl.namespace) {
+      name = ecosystem === 'Maven' ? `${purl.namespace}:${purl.name}` : `${purl.namespace}/${purl.name}`
+    }
+    return { ecosystem, names: [name], version, distroVersion: null }
+  }
+
+  /**
+   * Whether an advisory's ecosystem release (Alpine:v3.18, Debian:12, Ubuntu:22.04:LTS)
+   * applies to the image's distro version; anything goes when either is unknown
+   */
+  static isSameRelease(release, distroVersion) {
+    if (!release || !distroVersion) return true
+    return release.split(':').some(part => {
+      const version = part.replace(/^v/, '')
+      return distroVersion === version || distroVersion.startsWith(`${version}.`)
+    })
+  }
+
+  /**
+   * Whether a version is affected by an affected record, and the version that fixes it
+   * @returns {{ affected: boolean, fixed: string | null }}
+   */
+  static evaluate(record, version) {
+    if (record.versions?.includes(version)) return { affected: true, fixed: this.getFixed(record, version) }
+
+    const compare = this.getComparator(record.ecosystem)
+    for (const range of record.ranges || []) {
+      const events = [...(range.events || [])].sort((a, b) => {
+        const versionA = a.introduced ?? a.fixed ?? a.last_affected ?? a.limit
+        const versionB = b.introduced ?? b.fixed ?? b.last_affected ?? b.limit
+        if (versionA === '0') return -1
+        if (versionB === '0') return 1
+        return compare(versionA, versionB)
+      })
+
+      let affected = false
+      for (const event of events) {
+        if (event.introduced !== undefined && (event.introduced === '0' || compare(version, event.introduced) >= 0)) affected = true
+        if (event.fixed !== undefined && compare(version, event.fixed) >= 0) affected = false
+        if (event.last_affected !== undefined && compare(version, event.last_affected) > 0) affected = false
+      }
+      if (affected) return { affected: true, fixed: this.getFixed(record, version) }
+    }
+    return { affected: false, fixed: null }
+  }
+
+  // Lowest fixed version above the installed one
+  static getFixed(record, version) {
+    const compare = this.getComparator(record.ecosystem)
+    const fixed = (record.ranges || [])
+      .flatMap(range => range.events || [])
+      .map(event => event.fixed)
+      .filter(fix => fix !== undefined && compare(fix, version) > 0)
+      .sort(compare)
+    return fixed[0] || null
+  }
+
+  /**
+   * Match packages against affected records
+   * @param {Array} packages - SBOM-shaped packages with PURLs
+   * @param {Function} getRecords - (packageKey) => affected records for that package
+   * @returns {Array<{ pkg, record, fixed }>}
+   */
+  static findHits(packages, getRecords) {
+    const hits = []
+    const seen = new Set()
+    for (const pkg of packages) {
+      const lookup = this.getLookup(pkg)
+      if (!lookup) continue
+      for (const name of lookup.names) {
+        const key = AdvisoryDatabase.getPackageKey(lookup.ecosystem, name)
+        for (const record of getRecords(key) || []) {
+          if (record.ecosystem !== lookup.ecosystem) continue
+          if (!this.isSameRelease(record.release, lookup.distroVersion)) continue
+          // One finding per advisory and installed package, whichever name matched
+          const id = `${record.advisoryId}|${pkg.purl}`
+          if (seen.has(id)) continue
+          const { affected, fixed } = this.evaluate(record, lookup.version)
+          if (!affected) continue
+          seen.add(id)
+          hits.push({ pkg, record, fixed })
+        }
+      }
+    }
+    return hits
+  }
+
+  /**
+   * Package keys to read from the advisory database for these packages
+   */
+  static getPackageKeys(packages) {
+    return packages.flatMap(pkg => {
+      const lookup = this.getLookup(pkg)
+      return lookup ? lookup.names.map(name => AdvisoryDatabase.getPackageKey(lookup.ecosystem, name)) : []
+    })
+  }
+
+  /**
+   * Match a package inventory against the advisory database
+   * @returns {Promise<Array<{ id, cve, aliases, summary, severity, score, url, package, version, type, purl, fixed }>>}
+   *   sorted by severity, then score
+   */
+  static async matchPackages(packages) {
+    const affected = await AdvisoryDatabase.getAffected(this.getPackageKeys(packages))
+    const hits = this.findHits(packages, key => affected.get(key))
+    const advisories = await AdvisoryDatabase.getAdvisories(hits.map(hit => hit.record.advisoryId))
+
+    return hits.map(({ pkg, record, fixed }) => {
+      const advisory = advisories.get(record.advisoryId) || { id: record.advisoryId, aliases: [], severity: 'UNKNOWN' }
+      return {
+        id: advisory.id,
+        cve: advisory.aliases.find(alias => alias.startsWith('CVE-')) || null,
+        aliases: advisory.aliases.filter(alias => alias !== advisory.id),
+        summary: advisory.summary || '',
+        severity: advisory.severity,
+        score: advisory.score ?? null,
+        url: advisory.url || null,
+        package: pkg.name,
+        version: pkg.version,
+        type: pkg.type,
+        purl: pkg.purl,
+        fixed
+      }
+    }).sort((a, b) =>
+      (SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)) || ((b.score ?? 0) - (a.score ?? 0))
+    )
+  }
+
+  /**
+   * Finding counts by severity, counting each advisory once
+   */
+  static summarize(findings) {
+    const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, new Set()]))
+    findings.forEach(finding => counts[finding.severity]?.add(finding.id))
+    return Object.fromEntries(SEVERITIES.map(severity => [severity, counts[severity].size]))
+  }
+
+  /**
+   * Find every image in the registry with an SBOM listing a package affected by
+   * an advisory (by id or alias, e.g. a CVE id)
+   *
+   * onAdvisories(matches) is called once the advisory is looked up, onMatch(hit)
+   * for each affected image, onProgress({ repositories, totalRepositories,
+   * currentRepository, withoutSbom }) after each repository.
+   * @returns {Promise<{ advisories: Array, withoutSbom: number }>}
+   */
+  static async findAffectedImages(query, { signal, onAdvisories, onMatch, onProgress } = {}) {
+    const options = { priority: PRIORITY.LOW, signal }
+    const matches = await AdvisoryDatabase.findByAlias(query)
+    onAdvisories?.(matches)
+    if (!matches.length) return { advisories: [], withoutSbom: 0 }
+
+    const records = new Map()
+    for (const { affected } of matches) {
+      for (const record of affected) {
+        const key = AdvisoryDatabase.getPackageKey(record.ecosystem, record.name)
+        records.set(key, [...(records.get(key) || []), record])
+      }
+    }
+    const advisories = new Map(matches.map(({ advisory }) => [advisory.id, advisory]))
+
+    let repositories = await imageCache.getRepositories()
+    if (!repositories) {
+      repositories = await registryApi.getAllRepositories(options)
+      imageCache.saveRepositories(repositories)
+    }
+
+    let withoutSbom = 0
+    for (let i = 0; i < repositories.length; i++) {
+      const repository = repositories[i]
+      onProgress?.({ repositories: i, totalRepositories: repositories.length, currentRepository: repository, withoutSbom })
+
+      let tags = await imageCache.getTags(repository)
+      if (!tags) {
+        try {
+          tags = (await registryApi.getTags(repository, options)).tags || []
+          imageCache.saveTags(repository, tags)
+        } catch (e) {
+          if (e.name === 'AbortError') throw e
+          tags = []
+        }
+      }
+
+      // Cosign tags hold what's attached to other tags, not images
+      const imageTags = tags.filter(tag => !OciArtifacts.parseCosignTag(tag))
+      await Promise.all(imageTags.map(async (tag) => {
+        try {
+          const digest = await DigestLookup.resolveTagDigest(repository, tag, options)
+          const imageInfo = await registryApi.getImageInfo(repository, digest || tag, options)
+          if (imageInfo.isArtifact) return
+
+          const documents = await Sbom.find(repository, imageInfo, { tags, ...options })
+          if (!documents.length) {
+            withoutSbom++
+            return
+          }
+          const hits = this.findHits(documents.flatMap(doc => doc.packages), key => records.get(key))
+          if (!hits.length) return
+          onMatch?.({
+            repository,
+            tag,
+            digest: imageInfo.digest,
+            packages: hits.map(({ pkg, record, fixed }) => ({
+              advisory: advisories.get(record.advisoryId),
+              name: pkg.name,
+              version: pkg.version,
+              fixed
+            }))
+          })
+        } catch (e) {
+          if (e.name === 'AbortError') throw e
+          console.warn(`Vulnerability search: could not read ${repository}:${tag}:`, e)
+        }
+      }))
+    }
+
+    onProgress?.({ repositories: repositories.length, totalRepositories: repositories.length, currentRepository: null, withoutSbom })
+    return { advisories: [...advisories.values()], withoutSbom }
+  }
+}
+
+export default VulnerabilityScanner
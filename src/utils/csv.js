@@ -0,0 +1,14 @@
+/**
+ * CSV helpers
+ * Fields containing a comma, quote or line break are quoted, with quotes doubled (RFC 4180)
+ */
+
+export function escapeCsvField(value) {
+  const text = String(value ?? '')
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// rows: arrays of field values, the header first
+export function toCsv(rows) {
+  return rows.map(row => row.map(escapeCsvField).join(',')).join('\n')
+}
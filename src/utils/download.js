@@ -0,0 +1,16 @@
+/**
+ * File download helper
+ * Saves generated content (reports, exports) as a file in the browser
+ */
+
+export function downloadFile(filename, content, mimeType = 'application/json') {
+  const blob = new Blob([content], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(url)
+}
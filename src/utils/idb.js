@@ -0,0 +1,55 @@
+/**
+ * Small promise wrappers around IndexedDB
+ */
+
+const connections = new Map() // name -> Promise<IDBDatabase>
+
+/**
+ * Open a database once and reuse the connection
+ * @param {Function} upgrade - (db, oldVersion, transaction) => void, creates stores and indexes
+ */
+export function openDatabase(name, version, upgrade) {
+  if (!connections.has(name)) {
+    const pending = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'))
+        return
+      }
+
+      const request = indexedDB.open(name, version)
+      request.onupgradeneeded = (event) => {
+        upgrade(request.result, event.oldVersion, request.transaction)
+      }
+      request.onsuccess = () => {
+        const db = request.result
+        // Another tab wants to upgrade: step aside and reopen on next use
+        db.onversionchange = () => {
+          db.close()
+          connections.delete(name)
+        }
+        resolve(db)
+      }
+      request.onerror = () => reject(request.error)
+    })
+
+    // Let a later call try again after a failure
+    pending.catch(() => connections.delete(name))
+    connections.set(name, pending)
+  }
+  return connections.get(name)
+}
+
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+export function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+  })
+}
@@ -0,0 +1,27 @@
+/**
+ * Image manifest helpers
+ * Work on image infos already loaded by registryApi.getImageInfo, without requests
+ */
+
+// Single-platform manifest of an image info
+// (for manifest lists, the first platform's manifest fetched alongside it)
+export function getImageManifest(imageInfo) {
+  if (imageInfo?.manifest?.layers) return imageInfo.manifest
+  return imageInfo?.firstManifest || null
+}
+
+// Blobs (layers + config) an image references, each counted once
+// For multi-arch images these are the blobs of every platform in platformInfos
+export function getImageBlobs(imageInfo, platformInfos = []) {
+  const manifests = imageInfo?.isMultiPlatform
+    ? platformInfos.map(info => info.manifest)
+    : [getImageManifest(imageInfo)]
+
+  const blobs = new Map()
+  for (const manifest of manifests.filter(Boolean)) {
+    for (const blob of [...(manifest.layers || []), manifest.config]) {
+      if (blob?.digest) blobs.set(blob.digest, { digest: blob.digest, size: blob.size || 0 })
+    }
+  }
+  return [...blobs.values()]
+}
@@ -0,0 +1,82 @@
+/**
+ * Tag version helpers
+ * Shared semantic-version parsing and tag ordering
+ */
+
+// Parse semantic version string, returns [major, minor, patch, suffix] or null
+export function parseVersion(tag) {
+  const match = tag.match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(.*)$/)
+  if (!match) return null
+  return [
+    parseInt(match[1]) || 0,
+    parseInt(match[2]) || 0,
+    parseInt(match[3]) || 0,
+    match[4] || ''
+  ]
+}
+
+// Strict semantic version (1.4.3, v2.0.0-rc.1, 1.0.0+build.5), returns [major, minor, patch, prerelease] or null
+// Unlike parseVersion, commit SHAs and date or build tags (7f3e9a1, 20240101-abc, 42-ci) don't match
+export function parseSemver(tag) {
+  const match = tag.match(/^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/)
+  if (!match) return null
+  return [parseInt(match[1]), parseInt(match[2]), parseInt(match[3]), match[4] || '']
+}
+
+// Compare two parsed semantic versions, newest first; a pre-release sorts below its release
+export function compareSemverDesc(versionA, versionB) {
+  for (let i = 0; i < 3; i++) {
+    if (versionA[i] !== versionB[i]) {
+      return versionB[i] - versionA[i]
+    }
+  }
+  const [preA, preB] = [versionA[3], versionB[3]]
+  if (!preA || !preB) return (preA ? 1 : 0) - (preB ? 1 : 0)
+
+  // Dot-separated identifiers: numbers numerically and below text
+  const partsA = preA.split('.')
+  const partsB = preB.split('.')
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const a = partsA[i]
+    const b = partsB[i]
+    if (a === b) continue
+    if (a === undefined) return 1
+    if (b === undefined) return -1
+    const numA = /^\d+$/.test(a)
+    const numB = /^\d+$/.test(b)
+    if (numA && numB) return parseInt(b) - parseInt(a)
+    if (numA !== numB) return numA ? 1 : -1
+    return b.localeCompare(a)
+  }
+  return 0
+}
+
+// Compare two parsed versions, newest first
+export function compareVersionsDesc(versionA, versionB) {
+  // Compare major.minor.patch descending
+  for (let i = 0; i < 3; i++) {
+    if (versionA[i] !== versionB[i]) {
+      return versionB[i] - versionA[i]
+    }
+  }
+  // If versions equal, compare suffix alphabetically descending
+  return (versionB[3] || '').localeCompare(versionA[3] || '')
+}
+
+// Sort comparator for tags: "latest" first, then by semantic version (descending), then alphabetically
+export function compareTags(a, b) {
+  // "latest" always first
+  if (a === 'latest') return -1
+  if (b === 'latest') return 1
+
+  // Try semantic version comparison (descending - newest first)
+  const versionA = parseVersion(a)
+  const versionB = parseVersion(b)
+
+  if (versionA && versionB) {
+    return compareVersionsDesc(versionA, versionB)
+  }
+
+  // Non-version tags: alphabetically descending (newer usually has higher chars)
+  return b.localeCompare(a)
+}
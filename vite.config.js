@@ -1,6 +1,28 @@
 import { defineConfig } from 'vite'
 import vue from '@vitejs/plugin-vue'
 
+// Proxy each request to the host named in one of its headers, optionally rewriting the path
+// from that URL. Vite's proxy has no per-request router, so the target is handed to
+// proxy.web for each request; changing the shared options would be too late and racy.
+function routeByHeader(header, rewritePath) {
+  return (proxy) => {
+    const web = proxy.web
+    proxy.web = (req, res, options = {}) => {
+      const value = req.headers[header]
+      if (value) {
+        try {
+          const url = new URL(value)
+          if (rewritePath) req.url = rewritePath(url, req.url)
+          return web(req, res, { ...options, target: `${url.protocol}//${url.host}` })
+        } catch (e) {
+          console.error(`Invalid ${header} header:`, value)
+        }
+      }
+      return web(req, res, options)
+    }
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [vue()],
@@ -25,19 +47,18 @@ export default defineConfig({
         changeOrigin: true,
         secure: false,
         rewrite: (path) => path.replace(/^\/registry-api/, '/v2'),
-        configure: (proxy, options) => {
-          proxy.on('proxyReq', (proxyReq, req) => {
-            const registryUrl = req.headers['x-registry-url']
-            if (registryUrl) {
-              try {
-                const url = new URL(registryUrl)
-                options.target = `${url.protocol}//${url.host}`
-              } catch (e) {
-                console.error('Invalid registry URL:', registryUrl)
-              }
-            }
-          })
-        }
+        configure: routeByHeader('x-registry-url')
+      },
+      // Token server requests for registries using Bearer auth
+      // The realm comes from the registry's WWW-Authenticate challenge
+      '/registry-auth': {
+        target: 'http://localhost:5000',
+        changeOrigin: true,
+        secure: false,
+        configure: routeByHeader('x-token-realm', (realm, path) => {
+          const query = path.split('?')[1]
+          return query ? `${realm.pathname}?${query}` : realm.pathname
+        })
       }
     }
   }